@@ -0,0 +1,82 @@
+/**
+ * config.js
+ * Site-wide settings for stillbecoming
+ */
+
+export const CONFIG = {
+  // Version of the generative algorithm, recorded in exported relics.
+  // Bump it whenever the same seed would render differently.
+  //   1.1.0  frames described once as draw lists (last circle fades in; exports match the canvas)
+  //   1.2.0  named palettes
+  //   1.3.0  53-bit hash for seeds and editions
+  algorithmVersion: '1.3.0',
+
+  // Ritual score used when no ?score= is given
+  scorePath: 'scores/default.json',
+
+  // Directory that bare ?score=<name> values resolve against
+  scoreDirectory: 'scores/',
+
+  // Offline ritual video export
+  video: {
+    fps: 30,
+    maxSize: 1080, // Output width/height cap in pixels
+    relicHold: 4, // Seconds of the settled relic after the ritual ends
+    // PNG frame ZIP for browsers without WebCodecs: the archive is built in
+    // memory, so it gets smaller, fewer frames
+    frameZip: {
+      maxSize: 540,
+      fps: 15
+    }
+  },
+
+  // Looping animated relic (APNG / GIF)
+  loop: {
+    duration: 4, // Seconds per loop
+    fps: 20, // 20 fps keeps GIF delays whole hundredths
+    size: 540,
+    breath: 0.12, // How far weathering swells and recedes over a loop
+    shimmer: 0.25 // Particle energy for the shimmer layer
+  },
+
+  // Edition registry (server/registry.mjs). Without a URL, or when it can't
+  // be reached, editions are hashed from the visitor token and may repeat.
+  // Only set here, so a link can't send visitor tokens elsewhere.
+  registry: {
+    url: null,
+    timeout: 3000 // Milliseconds before falling back to the hashed edition
+  },
+
+  // Relic signatures (utils/signing.js). The curator loads the private
+  // keyfile in ?curator mode; the public key, made by tools/keygen.mjs,
+  // is published here for verify.html.
+  signing: {
+    publicKeyPath: 'keys/relic-signing-public.json'
+  },
+
+  // Edition palettes (utils/palette.js)
+  palette: {
+    minContrast: 4.5 // Lowest ink-on-background contrast ratio (WCAG) a palette may have
+  },
+
+  // Relic print export (presets live in utils/print.js)
+  print: {
+    bleed: 3, // Millimetres added on every side when bleed is switched on in the UI
+    tileSize: 1024, // Relics are rendered and encoded in tiles this many pixels square
+    tilePadding: 64 // Extra pixels rendered around each tile so marks crossing a seam are drawn on both sides
+  },
+
+  // Pen-plotter export (HPGL / G-code)
+  plotter: {
+    paper: 'A4', // Key of PAPER_SIZES in utils/plotter.js
+    margin: 20, // Millimetres on every side
+    penWidth: 0.4, // Millimetres; sets circle smoothness and hatch spacing
+    hatchAngle: 45, // Degrees
+    gcode: {
+      penUp: 'G0 Z5',
+      penDown: 'G1 Z0 F1000',
+      drawRate: 2000, // mm/min
+      travelRate: 5000 // mm/min
+    }
+  }
+};
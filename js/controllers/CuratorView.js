@@ -0,0 +1,260 @@
+import { ledgerToCSV, ledgerToJSON, parseLedger, auditLedger, formatRanges } from '../utils/ledger.js';
+import { saveBlob } from '../utils/download.js';
+import { formatFilenameTimestamp } from '../utils/time.js';
+import { RelicSigner, loadPublicKey } from '../utils/signing.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * Curator panel (?curator): the ledger of issued editions, with export,
+ * import/merge, and duplicate editions and gaps highlighted. The curator
+ * can also load the artist's signing key here, so relics are signed.
+ */
+export class CuratorView {
+  /**
+   * @param {Ledger} ledger
+   * @param {number} cap - Number of editions
+   */
+  constructor(ledger, cap) {
+    this.ledger = ledger;
+    this.cap = cap;
+
+    this.toggleBtn = document.getElementById('ledger-btn');
+    this.panel = document.getElementById('curator-panel');
+    this.summary = document.getElementById('curator-summary');
+    this.tableBody = document.querySelector('#curator-table tbody');
+    this.fileInput = document.getElementById('ledger-file');
+    this.keyInput = document.getElementById('signing-key-file');
+
+    // RelicSigner once a keyfile is loaded; kept in memory only
+    this.signer = null;
+    this.signerNote = null;
+
+    // Outcome of the last ledger import ({ totals, failures }), shown in the summary
+    this.lastImport = null;
+  }
+
+  /**
+   * Show the ledger button and wire the panel's controls
+   */
+  attach() {
+    if (!this.panel || !this.toggleBtn) return;
+
+    this.toggleBtn.onclick = () => this.open();
+    this.toggleBtn.classList.remove('hidden');
+
+    const actions = {
+      csv: () => this._export('csv'),
+      json: () => this._export('json'),
+      import: () => this.fileInput && this.fileInput.click(),
+      key: () => this.keyInput && this.keyInput.click(),
+      close: () => this.close()
+    };
+    for (const button of this.panel.querySelectorAll('[data-ledger]')) {
+      button.onclick = actions[button.dataset.ledger];
+    }
+
+    if (this.fileInput) {
+      this.fileInput.onchange = () => {
+        this._import([...this.fileInput.files]);
+        this.fileInput.value = '';
+      };
+    }
+
+    if (this.keyInput) {
+      this.keyInput.onchange = () => {
+        const [file] = this.keyInput.files;
+        this.keyInput.value = '';
+        if (file) this._loadSigningKey(file);
+      };
+    }
+  }
+
+  async open() {
+    this.panel.classList.remove('hidden');
+    await this.refresh();
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * Add a record and redraw the panel if it is open
+   */
+  async record(entry) {
+    try {
+      await this.ledger.record(entry);
+      console.log(`Ledger: recorded ${entry.edition === null ? 'unnumbered edition' : `edition ${entry.edition}`}`);
+    } catch (error) {
+      console.error('Could not record edition in the ledger:', error);
+      return;
+    }
+
+    if (!this.panel.classList.contains('hidden')) {
+      await this.refresh();
+    }
+  }
+
+  /**
+   * Redraw the summary and table from the ledger
+   */
+  async refresh() {
+    let entries;
+    try {
+      entries = await this.ledger.all();
+    } catch (error) {
+      console.error('Could not read the ledger:', error);
+      this._setSummary(['Ledger unavailable: ' + error.message]);
+      return;
+    }
+
+    const { duplicates, gaps, unnumbered } = auditLedger(entries);
+    const issued = new Set(entries.filter(e => e.edition !== null).map(e => e.edition)).size;
+
+    const lines = [`${entries.length} rituals · ${issued} of ${this.cap} editions issued`];
+    if (duplicates.size > 0) {
+      lines.push(`Duplicate editions: ${formatRanges([...duplicates.keys()].sort((a, b) => a - b))}`);
+    }
+    if (gaps.length > 0) {
+      lines.push(`Gaps: ${formatRanges(gaps)}`);
+    }
+    if (unnumbered > 0) {
+      lines.push(`${unnumbered} unnumbered (sold out)`);
+    }
+    lines.push(this.signer ? `Signing relics with key ${this.signer.keyId}${this.signerNote ? ` · ${this.signerNote}` : ''}` : 'Relics are not being signed');
+
+    let importFailed = false;
+    if (this.lastImport) {
+      const { totals, failures } = this.lastImport;
+      lines.push(`Last import: ${totals.added} added, ${totals.updated} updated, ${totals.unchanged} already present`);
+      for (const { name, message } of failures) {
+        lines.push(`Could not import "${name}": ${message}`);
+      }
+      importFailed = failures.length > 0;
+    }
+    this._setSummary(lines, duplicates.size > 0 || gaps.length > 0 || importFailed);
+
+    this.tableBody.replaceChildren(...this._rows(entries, duplicates, gaps));
+  }
+
+  _rows(entries, duplicates, gaps) {
+    const rows = [];
+    const gapSet = new Set(gaps);
+    let previous = 0;
+
+    for (const entry of entries) {
+      // A placeholder row for every missing edition before this one
+      if (entry.edition !== null) {
+        for (let edition = previous + 1; edition < entry.edition; edition++) {
+          if (gapSet.has(edition)) rows.push(this._gapRow(edition));
+        }
+        previous = Math.max(previous, entry.edition);
+      }
+
+      const row = document.createElement('tr');
+      if (duplicates.has(entry.edition)) row.classList.add('duplicate');
+
+      const thumbCell = document.createElement('td');
+      if (typeof entry.thumbnail === 'string' && entry.thumbnail.startsWith('data:image/')) {
+        const img = document.createElement('img');
+        img.src = entry.thumbnail;
+        img.alt = '';
+        thumbCell.appendChild(img);
+      }
+      row.appendChild(thumbCell);
+
+      const edition = entry.edition === null ? '—' : String(entry.edition).padStart(3, '0');
+      for (const text of [edition, entry.visitor.slice(0, 8), entry.seed, entry.completed, entry.palette, entry.station.slice(0, 8)]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  _gapRow(edition) {
+    const row = document.createElement('tr');
+    row.classList.add('gap');
+
+    const cell = document.createElement('td');
+    cell.colSpan = 7;
+    cell.textContent = `${String(edition).padStart(3, '0')} not issued`;
+    row.appendChild(cell);
+
+    return row;
+  }
+
+  _setSummary(lines, warn = false) {
+    this.summary.replaceChildren(...lines.map((line) => {
+      const div = document.createElement('div');
+      div.textContent = line;
+      return div;
+    }));
+    this.summary.classList.toggle('warn', warn);
+  }
+
+  async _export(format) {
+    try {
+      const entries = await this.ledger.all();
+      const stamp = formatFilenameTimestamp(new Date());
+
+      if (format === 'csv') {
+        saveBlob(new Blob([ledgerToCSV(entries)], { type: 'text/csv' }), `stillbecoming-ledger-${stamp}.csv`);
+      } else {
+        saveBlob(new Blob([ledgerToJSON(entries)], { type: 'application/json' }), `stillbecoming-ledger-${stamp}.json`);
+      }
+    } catch (error) {
+      console.error('Ledger export failed:', error);
+    }
+  }
+
+  async _loadSigningKey(file) {
+    try {
+      this.signer = await RelicSigner.fromKeyfile(await file.text());
+      this.signerNote = null;
+      console.log(`Signing key ${this.signer.keyId} loaded.`);
+    } catch (error) {
+      console.error(`Could not load signing key "${file.name}":`, error.message);
+      await this.refresh();
+      return;
+    }
+
+    // Relics signed with a key the site doesn't publish won't verify
+    try {
+      const publicKey = await loadPublicKey(CONFIG.signing.publicKeyPath);
+      if (publicKey.keyId !== this.signer.keyId) {
+        this.signerNote = `does not match the site's public key ${publicKey.keyId}`;
+        console.warn(`Signing key ${this.signer.keyId} ${this.signerNote}; relics will not verify.`);
+      }
+    } catch (error) {
+      this.signerNote = 'no public key published yet';
+      console.warn(`${error.message}; relics will not verify until it is published.`);
+    }
+
+    await this.refresh();
+  }
+
+  async _import(files) {
+    const totals = { added: 0, updated: 0, unchanged: 0 };
+    const failures = [];
+
+    for (const file of files) {
+      try {
+        const counts = await this.ledger.merge(parseLedger(await file.text()));
+        for (const key of Object.keys(totals)) totals[key] += counts[key];
+        console.log(`Ledger: merged "${file.name}"`, counts);
+      } catch (error) {
+        console.error(`Could not import ledger "${file.name}":`, error.message);
+        failures.push({ name: file.name, message: error.message });
+      }
+    }
+
+    this.lastImport = { totals, failures };
+    await this.refresh();
+    console.log(`Ledger import: ${totals.added} added, ${totals.updated} updated, ${totals.unchanged} already present`);
+  }
+}
@@ -1,17 +1,93 @@
-import { simpleHash } from '../utils/hash.js';
+import { hashToIndex } from '../utils/hash.js';
 
 /**
- * Manages edition numbering with a cap of 100
+ * Manages edition numbering with a cap of 100.
+ *
+ * Editions start out as a hash of the visitor token, which can collide.
+ * syncWithRegistry() swaps that for a number handed out by the edition
+ * registry (server/registry.mjs), which never gives a number out twice
+ * and reports when the edition is sold out.
  */
 export class EditionManager {
-  constructor(masterSeed) {
-    this.cap = 100;
+  /**
+   * @param {string} masterSeed
+   * @param {Object} [witness] - { editionNumber, cap } of a witnessed relic
+   *   (utils/witness.js): its edition is shown, and the visitor token is
+   *   neither read nor created
+   */
+  constructor(masterSeed, witness = null) {
+    this.cap = witness ? witness.cap : 100;
     this.masterSeed = masterSeed;
-    this.visitorToken = this._getOrCreateVisitorToken();
-    this.editionNumber = this._computeEdition();
+    this.visitorToken = witness ? null : this._getOrCreateVisitorToken();
+    this.editionNumber = witness ? witness.editionNumber : this._computeEdition();
+
+    // 'hash' until the registry confirms a number, then 'registry'
+    this.source = witness ? 'witness' : 'hash';
+    this.soldOut = this.editionNumber === null;
+
     this.editionLabel = this._formatEditionLabel();
   }
 
+  /**
+   * Ask the edition registry for this visitor's edition. Falls back to the
+   * hashed edition (with a warning) if the registry can't be reached.
+   * @param {string} url - Registry base URL
+   * @param {Object} [options]
+   * @param {number} [options.timeout=3000] - Milliseconds to wait for an answer
+   * @returns {Promise<string>} 'registry', 'sold-out' or 'hash'
+   */
+  async syncWithRegistry(url, { timeout = 3000 } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(new URL('editions', url.endsWith('/') ? url : `${url}/`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ visitor: this.visitorToken }),
+        signal: controller.signal
+      });
+      const body = await response.json();
+
+      if (response.status === 409 && body.soldOut) {
+        this.cap = body.cap;
+        this.soldOut = true;
+        this.editionNumber = null;
+        this.source = 'registry';
+        this.editionLabel = this._formatEditionLabel();
+        return 'sold-out';
+      }
+
+      if (!response.ok || !Number.isInteger(body.edition)) {
+        throw new Error(body.error || `status ${response.status}`);
+      }
+
+      this.cap = body.cap;
+      this.editionNumber = body.edition;
+      this.source = 'registry';
+      this.editionLabel = this._formatEditionLabel();
+      return 'registry';
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `no answer within ${timeout} ms` : error.message;
+      console.warn(`Edition registry unavailable (${reason}); using hashed edition ${this.editionNumber}.`);
+      return 'hash';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Show an earlier ritual's edition (e.g. a relic reopened from the archive)
+   * @param {number|null} editionNumber - null when it was unnumbered
+   * @param {string} editionLabel
+   */
+  restoreEdition(editionNumber, editionLabel) {
+    this.editionNumber = editionNumber;
+    this.soldOut = editionNumber === null;
+    this.source = 'archive';
+    this.editionLabel = editionLabel;
+  }
+
   _getOrCreateVisitorToken() {
     const storageKey = 'stillbecoming_visitor_token';
     let token = localStorage.getItem(storageKey);
@@ -35,17 +111,38 @@ export class EditionManager {
   }
 
   _computeEdition() {
-    // Deterministic edition based on visitor token + master seed
-    const combined = this.visitorToken + this.masterSeed;
-    const hash = simpleHash(combined);
-    return (hash % this.cap) + 1;
+    // Deterministic edition based on visitor token + master seed, evenly
+    // spread over the cap (see tools/edition-audit.mjs)
+    return hashToIndex(`${this.masterSeed}/edition/${this.visitorToken}`, this.cap) + 1;
   }
 
   _formatEditionLabel() {
+    if (this.soldOut) {
+      return `Unnumbered · all ${this.cap} editions taken`;
+    }
+
     const paddedNumber = String(this.editionNumber).padStart(3, '0');
     return `Edition ${paddedNumber} of ${this.cap}`;
   }
 
+  /**
+   * Read back a label made by _formatEditionLabel (e.g. a relic's provenance)
+   * @returns {Object|null} { editionNumber, cap }, editionNumber null when unnumbered
+   */
+  static parseLabel(label) {
+    const numbered = /^Edition (\d+) of (\d+)$/.exec(label);
+    if (numbered) {
+      return { editionNumber: Number(numbered[1]), cap: Number(numbered[2]) };
+    }
+
+    const unnumbered = /^Unnumbered · all (\d+) editions taken$/.exec(label);
+    if (unnumbered) {
+      return { editionNumber: null, cap: Number(unnumbered[1]) };
+    }
+
+    return null;
+  }
+
   getEditionNumber() {
     return this.editionNumber;
   }
@@ -54,7 +151,12 @@ export class EditionManager {
     return this.editionLabel;
   }
 
+  isSoldOut() {
+    return this.soldOut;
+  }
+
   getEditionForFilename() {
+    if (this.soldOut) return 'unnumbered';
     return String(this.editionNumber).padStart(3, '0');
   }
 }
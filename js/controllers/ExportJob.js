@@ -0,0 +1,113 @@
+import { EventEmitter } from '../utils/events.js';
+
+/**
+ * One export running in the background, so the page stays responsive and
+ * the UI can follow (and cancel) it.
+ *
+ * A job moves through these states:
+ *   'running'    rendering
+ *   'encoding'   rendering is done; the file is being finished
+ *   'done'       the file was saved
+ *   'cancelled'  cancel() was called before it finished
+ *   'failed'     it threw (job.error holds the reason)
+ *
+ * Listeners subscribe through on(), which returns an unsubscribe handle:
+ *   'state'      the job changed state         ({ state, error })
+ *   'progress'   rendering advanced            ({ progress })  0-1
+ */
+export class ExportJob extends EventEmitter {
+  /**
+   * @param {string} name - What is being exported, for logs
+   */
+  constructor(name) {
+    super();
+    this.name = name;
+    this.state = 'running';
+    this.progress = 0;
+    this.error = null;
+
+    // Aborted by cancel(); work checks it between steps
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+
+    // Resolves with the final state once the job has ended
+    this.finished = new Promise(resolve => {
+      this._resolveFinished = resolve;
+    });
+  }
+
+  /**
+   * Run the job's work. `work` receives the job and should call
+   * checkCancelled() between steps; whatever it throws fails the job.
+   * @param {Function} work - async (job) => void
+   * @returns {Promise<string>} The final state
+   */
+  async run(work) {
+    try {
+      await work(this);
+      this._setState('done');
+    } catch (error) {
+      if (this.signal.aborted) {
+        console.log(`${this.name} export cancelled.`);
+      } else {
+        console.error(`${this.name} export failed:`, error);
+        this._setState('failed', error);
+      }
+    }
+
+    return this.finished;
+  }
+
+  /**
+   * Stop the job at its next step
+   */
+  cancel() {
+    if (this.isFinished()) return;
+
+    this.controller.abort();
+    this._setState('cancelled');
+  }
+
+  /**
+   * Throw if the job has been cancelled
+   */
+  checkCancelled() {
+    if (this.signal.aborted) {
+      throw new Error(`${this.name} export cancelled`);
+    }
+  }
+
+  /**
+   * Report rendering progress (0-1)
+   */
+  reportProgress(progress) {
+    if (this.isFinished()) return;
+
+    this.progress = progress;
+    this._emit('progress', { progress });
+  }
+
+  /**
+   * Mark rendering as done and the file as being finished
+   */
+  startEncoding() {
+    if (this.isFinished()) return;
+    this._setState('encoding');
+  }
+
+  isFinished() {
+    return this.state === 'done' || this.state === 'cancelled' || this.state === 'failed';
+  }
+
+  _setState(state, error = null) {
+    if (this.isFinished()) return;
+
+    this.state = state;
+    this.error = error;
+    this._emit('state', { state, error });
+
+    if (this.isFinished()) {
+      this._resolveFinished(state);
+    }
+  }
+}
@@ -1,4 +1,21 @@
 import { formatFilenameTimestamp } from '../utils/time.js';
+import { WebMWriter } from '../utils/webm.js';
+import { ZipWriter } from '../utils/zip.js';
+import { APNGWriter, physicalSizeChunk } from '../utils/png.js';
+import { createPNGWriter } from '../utils/pngWorker.js';
+import { provenanceChunks } from '../utils/provenance.js';
+import { layoutForPreset, DEFAULT_PRESET } from '../utils/print.js';
+import { GIFWriter, buildPalette } from '../utils/gif.js';
+import { saveBlob } from '../utils/download.js';
+import { PlotterRecorder, PAPER_SIZES, clipToSquare, fitToPaper, optimizeTravel, travelDistance, toHPGL, toGCode } from '../utils/plotter.js';
+import { ExportJob } from './ExportJob.js';
+import { CONFIG } from '../config.js';
+
+// Codecs to try for video export, best first
+const VIDEO_CODECS = [
+  { config: 'vp09.00.10.08', container: 'V_VP9' },
+  { config: 'vp8', container: 'V_VP8' }
+];
 
 /**
  * Manages high-resolution export of the final relic
@@ -11,43 +28,519 @@ export class ExportManager {
   }
 
   /**
-   * Export the current state as a high-res PNG
-   * @param {Function} renderCallback - Function that renders the scene, receives (p5Instance, graphics, scale)
+   * Export the current state as a high-res PNG, laid out on a page.
+   * Runs as a background job: the page is rendered in tiles (each viewing
+   * its own window of the composition through an off-centre projection),
+   * yielding to the browser between tiles, and each row of tiles is
+   * streamed to a PNG encoder in a worker. Neither the GPU nor memory ever
+   * holds the whole image.
+   * @param {Function} renderCallback - Function that renders the square composition, receives (p5Instance, graphics, scale)
    * @param {string} editionNumber - Three-digit edition number
    * @param {string} timestamp - Formatted timestamp
+   * @param {Object} [options]
+   * @param {Object} [options.layout] - Page layout from utils/print.js (defaults to the screen preset)
+   * @param {Function} [options.renderPage] - Draws the page around the composition, receives (page, layout, drawArt)
+   * @param {Object} [options.provenance] - Record embedded in the PNG (see utils/provenance.js)
+   * @param {RelicSigner} [options.signer] - Signs the finished PNG over its provenance (see utils/signing.js)
+   * @returns {ExportJob|null} The running job, or null if another export is in progress
    */
-  exportRelic(renderCallback, editionNumber, timestamp) {
-    if (this.isExporting) return;
+  exportRelic(renderCallback, editionNumber, timestamp, options = {}) {
+    if (this.isExporting) return null;
 
     this.isExporting = true;
 
+    const job = new ExportJob('Relic');
+    job.run(() => this._renderRelic(job, renderCallback, editionNumber, options))
+      .finally(() => {
+        this.isExporting = false;
+      });
+
+    return job;
+  }
+
+  async _renderRelic(job, renderCallback, editionNumber, { layout = null, renderPage = null, provenance = null, signer = null }) {
+    const page = layout || layoutForPreset(DEFAULT_PRESET);
+    const { tileSize, padding } = this._tileSettings();
+    const columns = Math.ceil(page.width / tileSize);
+    const rows = Math.ceil(page.height / tileSize);
+
+    // Calculate scale factor
+    const scale = page.art.unit / Math.min(this.p.width, this.p.height);
+
+    // Record the print resolution and tag the image with its provenance
+    const chunks = [];
+    if (page.dpi) chunks.push(physicalSizeChunk(page.dpi));
+    if (provenance) chunks.push(...provenanceChunks(provenance));
+
+    const png = await createPNGWriter({ width: page.width, height: page.height, chunks });
+
+    // Reused for every tile: the composition's window (exact pixels, no
+    // retina doubling) and the page tile it is placed on
+    const art = this.p.createGraphics(tileSize + padding * 2, tileSize + padding * 2, this.p.WEBGL);
+    art.pixelDensity(1);
+    const tile = this.p.createGraphics(tileSize, tileSize);
+    tile.pixelDensity(1);
+
+    // One row of tiles is encoded while the next is rendered
+    let encoding = Promise.resolve();
+
     try {
-      // Create offscreen graphics buffer
-      const pg = this.p.createGraphics(this.exportSize, this.exportSize, this.p.WEBGL);
+      for (let row = 0; row < rows; row++) {
+        const y = row * tileSize;
+        const height = Math.min(tileSize, page.height - y);
+        const band = new Uint8ClampedArray(page.width * height * 4);
 
-      // Calculate scale factor
-      const scale = this.exportSize / Math.min(this.p.width, this.p.height);
+        for (let column = 0; column < columns; column++) {
+          const x = column * tileSize;
+          const width = Math.min(tileSize, page.width - x);
 
-      // Render the final frame into the buffer
-      renderCallback(this.p, pg, scale);
+          // Draw the composition where it overlaps this tile, cropped to its square
+          const drawArt = () => {
+            const left = Math.max(x, page.art.x);
+            const top = Math.max(y, page.art.y);
+            const right = Math.min(x + width, page.art.x + page.art.size);
+            const bottom = Math.min(y + height, page.art.y + page.art.size);
+            if (right <= left || bottom <= top) return;
 
-      // Generate filename
-      const filenameTimestamp = formatFilenameTimestamp(new Date());
-      const filename = `stillbecoming-ed${editionNumber}-${filenameTimestamp}.png`;
+            const originX = x - padding;
+            const originY = y - padding;
+            this._viewArtWindow(art, page.art.size, originX - page.art.x, originY - page.art.y);
+            renderCallback(this.p, art, scale);
+
+            tile.image(art, left, top, right - left, bottom - top, left - originX, top - originY, right - left, bottom - top);
+          };
+
+          // Page coordinates throughout, so renderPage needn't know about tiles
+          tile.clear();
+          tile.push();
+          tile.translate(-x, -y);
+          if (renderPage) {
+            renderPage(tile, page, drawArt);
+          } else {
+            drawArt();
+          }
+          tile.pop();
+
+          const pixels = tile.drawingContext.getImageData(0, 0, width, height).data;
+          for (let line = 0; line < height; line++) {
+            band.set(pixels.subarray(line * width * 4, (line + 1) * width * 4), (line * page.width + x) * 4);
+          }
 
-      // Save the image
-      pg.save(filename);
+          job.reportProgress((row * columns + column + 1) / (rows * columns));
+          await nextTick();
+          job.checkCancelled();
+        }
 
-      // Clean up
-      pg.remove();
+        await encoding;
+        encoding = png.addRows(band, height);
+      }
 
+      await encoding;
     } catch (error) {
-      console.error('Export failed:', error);
+      // Aborting rejects the row being encoded; that is expected, not a second failure
+      encoding.catch(() => {});
+      png.abort();
+      throw error;
+    } finally {
+      // Release the buffers before the slower work
+      art.remove();
+      tile.remove();
+    }
+
+    job.startEncoding();
+    let blob = await png.finish();
+    job.checkCancelled();
+
+    if (signer && provenance) {
+      blob = await signer.sign(blob, provenance);
+      console.log(`Relic signed with key ${signer.keyId}.`);
+    }
+
+    // A cancel during encoding or signing still stops the download
+    job.checkCancelled();
+
+    // Generate filename
+    const filenameTimestamp = formatFilenameTimestamp(new Date());
+    const suffix = page.preset === DEFAULT_PRESET ? '' : `-${page.preset}`;
+    saveBlob(blob, `stillbecoming-ed${editionNumber}-${filenameTimestamp}${suffix}.png`);
+  }
+
+  /**
+   * Export the relic as a layered SVG
+   * @param {Function} buildDocument - Returns an SVGDocument for the relic
+   * @param {string} editionNumber - Three-digit edition number
+   * @returns {boolean} False if another export is in progress; throws if the export fails
+   */
+  exportSVG(buildDocument, editionNumber) {
+    if (this.isExporting) return false;
+
+    this.isExporting = true;
+
+    try {
+      const svg = buildDocument();
+
+      const filenameTimestamp = formatFilenameTimestamp(new Date());
+      saveBlob(svg.toBlob(), `stillbecoming-ed${editionNumber}-${filenameTimestamp}.svg`);
+      return true;
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Export a certificate of authenticity as a PDF
+   * @param {Function} buildDocument - async () => PDF Blob (see utils/certificate.js)
+   * @param {string} editionNumber - Three-digit edition number
+   * @returns {Promise<boolean>} False if another export is in progress; rejects if the export fails
+   */
+  async exportCertificate(buildDocument, editionNumber) {
+    if (this.isExporting) return false;
+
+    this.isExporting = true;
+
+    try {
+      const pdf = await buildDocument();
+
+      const filenameTimestamp = formatFilenameTimestamp(new Date());
+      saveBlob(pdf, `stillbecoming-ed${editionNumber}-${filenameTimestamp}-certificate.pdf`);
+      return true;
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Export the relic's linework for pen plotters: a ZIP with one HPGL and
+   * one G-code file per pen colour, fills replaced by hatching
+   * @param {Object} options
+   * @param {Function} options.draw - Draws the relic into a PlotterRecorder (same interface as SVGGroup)
+   * @param {number} options.size - Drawing units spanned by the artwork (centred on the origin)
+   * @param {Object} options.pens - Palette entries to plot, keyed by name
+   * @param {string} options.editionNumber - Three-digit edition number
+   * @param {Object} options.settings - CONFIG.plotter
+   * @returns {Promise<boolean>} False if another export is in progress; rejects if the export fails
+   */
+  async exportPlotter({ draw, size, pens, editionNumber, settings }) {
+    if (this.isExporting) return false;
+
+    this.isExporting = true;
+
+    try {
+      const paper = PAPER_SIZES[settings.paper];
+      if (!paper) {
+        throw new Error(`Unknown paper size "${settings.paper}" (expected one of ${Object.keys(PAPER_SIZES).join(', ')})`);
+      }
+
+      const { scale, transform } = fitToPaper(size, paper, settings.margin);
+      const recorder = new PlotterRecorder(pens, {
+        penWidth: settings.penWidth / scale,
+        hatchAngle: settings.hatchAngle
+      });
+      draw(recorder);
+
+      const filenameTimestamp = formatFilenameTimestamp(new Date());
+      const basename = `stillbecoming-ed${editionNumber}-${filenameTimestamp}`;
+      const zip = new ZipWriter();
+
+      let penNumber = 0;
+      for (const [pen, rawPaths] of recorder.layers) {
+        penNumber++;
+
+        // Crop to the artwork's square, as the raster export does
+        const paths = optimizeTravel(clipToSquare(rawPaths, size / 2).map(transform));
+        console.log(`Plotter pen ${penNumber} (${pen}): ${paths.length} strokes, ${Math.round(travelDistance(paths))}mm pen-up travel`);
+
+        await zip.add(`${basename}-${pen}.hpgl`, toHPGL(paths, { paper, pen: penNumber }));
+        await zip.add(`${basename}-${pen}.gcode`, toGCode(paths, {
+          ...settings.gcode,
+          paper,
+          title: `stillbecoming ed${editionNumber} - ${pen} pen, ${settings.paper} paper`
+        }));
+      }
+
+      saveBlob(zip.finish(), `${basename}-plotter.zip`);
+      return true;
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Export the whole ritual as a video, rendered frame by frame at a fixed
+   * frame rate (independent of how fast the browser can draw).
+   * Encodes WebM through WebCodecs where available, otherwise saves a ZIP
+   * of numbered PNG frames (smaller and at a lower frame rate, per
+   * CONFIG.video.frameZip, as the whole archive is held in memory).
+   * @param {Object} options
+   * @param {Function} options.renderFrame - Draws frame i and returns the canvas it drew to
+   * @param {number} options.frameCount - Number of frames to render
+   * @param {number} options.fps - Frames per second
+   * @param {number} options.size - Output width and height in pixels
+   * @param {string} options.editionNumber - Three-digit edition number
+   * @param {Function} [options.onProgress] - Called with progress (0-1)
+   * @returns {Promise<boolean>} False if another export is in progress; rejects if the export fails
+   */
+  async exportRitual({ renderFrame, frameCount, fps, size, editionNumber, onProgress }) {
+    if (this.isExporting) return false;
+
+    this.isExporting = true;
+
+    // Video codecs want even dimensions
+    const outputSize = Math.max(2, Math.floor(size / 2) * 2);
+    const frameCanvas = this._createFrameCanvas(outputSize);
+    const frameContext = frameCanvas.getContext('2d');
+
+    const filenameTimestamp = formatFilenameTimestamp(new Date());
+    const basename = `stillbecoming-ed${editionNumber}-${filenameTimestamp}-ritual`;
+
+    // Copy each rendered frame into the fixed-size output canvas
+    const captureFrame = (index) => {
+      const source = renderFrame(index);
+      frameContext.drawImage(source, 0, 0, outputSize, outputSize);
+      if (onProgress) onProgress((index + 1) / frameCount);
+    };
+
+    try {
+      const codec = await this._findVideoCodec(outputSize, fps);
+
+      if (codec) {
+        const blob = await this._encodeWebM(captureFrame, frameCanvas, frameCount, fps, codec);
+        saveBlob(blob, `${basename}.webm`);
+      } else {
+        const { maxSize, fps: zipFps } = CONFIG.video.frameZip;
+        const step = Math.max(1, Math.round(fps / zipFps));
+        console.warn(`WebCodecs VP8/VP9 unavailable; exporting PNG frames instead (${fps / step} fps).`);
+
+        const blob = await this._encodeFrameZip(captureFrame, frameCanvas, frameCount, step, Math.min(maxSize, outputSize));
+        saveBlob(blob, `${basename}-frames-${fps / step}fps.zip`);
+      }
+      return true;
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Export a short looping animation of the settled relic as APNG or GIF.
+   * renderFrame(i) must draw a function of the loop phase i / frameCount
+   * only; phase 1 then equals phase 0, so the last frame flows into the first.
+   * @param {Object} options
+   * @param {string} options.format - 'apng' or 'gif'
+   * @param {Function} options.renderFrame - Draws frame i and returns the canvas it drew to
+   * @param {number} options.frameCount - Frames in one loop
+   * @param {number} options.fps - Frames per second
+   * @param {number} options.size - Output width and height in pixels
+   * @param {string} options.editionNumber - Three-digit edition number
+   * @param {Function} [options.onProgress] - Called with progress (0-1)
+   * @returns {Promise<boolean>} False if another export is in progress; rejects if the export fails
+   */
+  async exportLoop({ format, renderFrame, frameCount, fps, size, editionNumber, onProgress }) {
+    if (this.isExporting) return false;
+
+    this.isExporting = true;
+
+    const outputSize = Math.round(size);
+    const frameCanvas = this._createFrameCanvas(outputSize);
+    const frameContext = frameCanvas.getContext('2d', { willReadFrequently: true });
+
+    const filenameTimestamp = formatFilenameTimestamp(new Date());
+    const basename = `stillbecoming-ed${editionNumber}-${filenameTimestamp}-loop`;
+
+    // GIF needs a palette before the first frame, learned from a few sample frames
+    const sampleCount = format === 'gif' ? Math.min(8, frameCount) : 0;
+    const totalSteps = sampleCount + frameCount;
+    let steps = 0;
+
+    const captureFrame = (index) => {
+      frameContext.drawImage(renderFrame(index), 0, 0, outputSize, outputSize);
+      if (onProgress) onProgress(++steps / totalSteps);
+      return frameContext.getImageData(0, 0, outputSize, outputSize).data;
+    };
+
+    // Whole-unit delays that add up exactly to the loop length
+    const delayFor = (index, unitsPerSecond) =>
+      Math.round((index + 1) * unitsPerSecond / fps) - Math.round(index * unitsPerSecond / fps);
+
+    try {
+      if (format === 'gif') {
+        const samples = [];
+        for (let s = 0; s < sampleCount; s++) {
+          samples.push(captureFrame(Math.floor(s * frameCount / sampleCount)));
+          await nextTick();
+        }
+
+        const writer = new GIFWriter({ width: outputSize, height: outputSize, palette: buildPalette(samples) });
+        for (let i = 0; i < frameCount; i++) {
+          writer.addFrame(captureFrame(i), delayFor(i, 100)); // Hundredths of a second
+          await nextTick();
+        }
+
+        saveBlob(writer.finish(), `${basename}.gif`);
+      } else {
+        const writer = new APNGWriter({ width: outputSize, height: outputSize });
+        for (let i = 0; i < frameCount; i++) {
+          await writer.addFrame(captureFrame(i), delayFor(i, 1000)); // Milliseconds
+        }
+
+        saveBlob(writer.finish(), `${basename}.png`);
+      }
+      return true;
     } finally {
       this.isExporting = false;
     }
   }
 
+  /**
+   * Tile size for relic exports: CONFIG.print.tileSize, shrunk if the
+   * padded tile wouldn't fit in this GPU's largest texture
+   */
+  _tileSettings() {
+    const { tileSize, tilePadding } = CONFIG.print;
+    const gl = this.p.drawingContext;
+    const maxTexture = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+
+    return {
+      tileSize: Math.min(tileSize, maxTexture - tilePadding * 2),
+      padding: tilePadding
+    };
+  }
+
+  /**
+   * Point a WEBGL buffer's camera at one window of a larger square
+   * composition. The eye sits where p5's default camera would for the full
+   * square, and an off-centre frustum crops to the window, so perspective,
+   * depth offsets and stroke widths match a single full-size render.
+   * @param {Object} pg - WEBGL p5.Graphics the window is rendered into
+   * @param {number} size - Full composition square, in pixels
+   * @param {number} left - Window's left edge, in pixels from the square's left
+   * @param {number} top - Window's top edge, in pixels from the square's top
+   */
+  _viewArtWindow(pg, size, left, top) {
+    const eyeZ = size / 2 / Math.tan(Math.PI / 6); // p5's default 60° field of view
+    const near = eyeZ / 10;
+    const far = eyeZ * 10;
+    const toNear = near / eyeZ;
+
+    // Window edges in world units (origin at the square's centre, y down)
+    const x0 = left - size / 2;
+    const x1 = x0 + pg.width;
+    const y0 = top - size / 2;
+    const y1 = y0 + pg.height;
+
+    pg.camera(0, 0, eyeZ, 0, 0, 0, 0, 1, 0);
+
+    // p5 flips y in its projection, so the frustum's top is the window's upper edge negated
+    pg.frustum(x0 * toNear, x1 * toNear, -y1 * toNear, -y0 * toNear, near, far);
+  }
+
+  _createFrameCanvas(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    return canvas;
+  }
+
+  async _findVideoCodec(size, fps) {
+    if (typeof VideoEncoder === 'undefined') return null;
+
+    for (const codec of VIDEO_CODECS) {
+      const config = this._videoConfig(codec.config, size, fps);
+      try {
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (supported) return { ...codec, encoderConfig: config };
+      } catch (error) {
+        // Try the next codec
+      }
+    }
+
+    return null;
+  }
+
+  _videoConfig(codec, size, fps) {
+    return {
+      codec,
+      width: size,
+      height: size,
+      framerate: fps,
+      bitrate: Math.round(size * size * fps * 0.2) // ~0.2 bits per pixel
+    };
+  }
+
+  async _encodeWebM(captureFrame, frameCanvas, frameCount, fps, codec) {
+    const writer = new WebMWriter({
+      width: frameCanvas.width,
+      height: frameCanvas.height,
+      frameRate: fps,
+      codec: codec.container
+    });
+
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        writer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+      },
+      error: (error) => {
+        encodeError = error;
+      }
+    });
+    encoder.configure(codec.encoderConfig);
+
+    const frameDuration = 1000000 / fps; // Microseconds
+    const keyframeInterval = fps * 2;
+
+    for (let i = 0; i < frameCount; i++) {
+      if (encodeError) throw encodeError;
+
+      captureFrame(i);
+
+      const frame = new VideoFrame(frameCanvas, {
+        timestamp: Math.round(i * frameDuration),
+        duration: Math.round(frameDuration)
+      });
+      encoder.encode(frame, { keyFrame: i % keyframeInterval === 0 });
+      frame.close();
+
+      // Let the encoder drain and the page breathe
+      while (encoder.encodeQueueSize > 4) {
+        await nextTick();
+      }
+      if (i % 10 === 0) {
+        await nextTick();
+      }
+    }
+
+    await encoder.flush();
+    encoder.close();
+    if (encodeError) throw encodeError;
+
+    return writer.finish();
+  }
+
+  /**
+   * Every `step`th frame, scaled to `size`, as numbered PNGs in a ZIP.
+   * Every frame is still rendered, as each one advances the ritual.
+   */
+  async _encodeFrameZip(captureFrame, frameCanvas, frameCount, step, size) {
+    const zip = new ZipWriter();
+    const digits = String(Math.ceil(frameCount / step)).length;
+
+    const zipCanvas = this._createFrameCanvas(size);
+    const zipContext = zipCanvas.getContext('2d');
+
+    for (let i = 0; i < frameCount; i++) {
+      captureFrame(i);
+      if (i % step !== 0) continue;
+
+      zipContext.drawImage(frameCanvas, 0, 0, size, size);
+      const png = await new Promise(resolve => zipCanvas.toBlob(resolve, 'image/png'));
+      await zip.add(`frame-${String(i / step).padStart(digits, '0')}.png`, png);
+    }
+
+    return zip.finish();
+  }
+
   /**
    * Check if currently exporting
    */
@@ -55,3 +548,7 @@ export class ExportManager {
     return this.isExporting;
   }
 }
+
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
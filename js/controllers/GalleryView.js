@@ -0,0 +1,126 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Gallery overlay listing the relics in the RelicArchive, newest first.
+ * Each can be reopened (re-rendered from its seed, ready to export again)
+ * or deleted.
+ */
+export class GalleryView {
+  /**
+   * @param {RelicArchive} archive
+   * @param {Function} onOpen - Called with a record to reopen it
+   */
+  constructor(archive, onOpen) {
+    this.archive = archive;
+    this.onOpen = onOpen;
+
+    this.panel = document.getElementById('gallery-panel');
+    this.grid = document.getElementById('gallery-grid');
+    this.closeBtn = document.getElementById('gallery-close');
+
+    // Id of the relic on screen, marked in the list
+    this.currentId = null;
+  }
+
+  attach() {
+    if (this.closeBtn) {
+      this.closeBtn.onclick = () => this.close();
+    }
+  }
+
+  async open() {
+    if (!this.panel) return;
+
+    this.panel.classList.remove('hidden');
+    await this.refresh();
+  }
+
+  close() {
+    if (this.panel) this.panel.classList.add('hidden');
+  }
+
+  async refresh() {
+    let records;
+    try {
+      records = await this.archive.all();
+    } catch (error) {
+      console.error('Could not read the relic archive:', error);
+      this.grid.replaceChildren(this._note(`Archive unavailable: ${error.message}`));
+      return;
+    }
+
+    if (records.length === 0) {
+      this.grid.replaceChildren(this._note('No relics yet'));
+      return;
+    }
+
+    this.grid.replaceChildren(...records.map(record => this._card(record)));
+  }
+
+  _card(record) {
+    const card = document.createElement('figure');
+    card.className = 'gallery-card';
+    if (record.id === this.currentId) card.classList.add('current');
+
+    if (typeof record.thumbnail === 'string' && record.thumbnail.startsWith('data:image/')) {
+      const img = document.createElement('img');
+      img.src = record.thumbnail;
+      img.alt = record.edition || 'Relic';
+      card.appendChild(img);
+    }
+
+    const caption = document.createElement('figcaption');
+    const lines = [record.edition, record.completed, record.palette ? record.palette.name : null];
+    if (record.algorithm !== CONFIG.algorithmVersion) {
+      lines.push(`made with ${record.algorithm}; may re-render differently`);
+    }
+    for (const text of lines.filter(Boolean)) {
+      const line = document.createElement('div');
+      line.textContent = text;
+      caption.appendChild(line);
+    }
+    card.appendChild(caption);
+
+    const actions = document.createElement('div');
+    actions.className = 'gallery-actions';
+
+    const openBtn = document.createElement('button');
+    openBtn.textContent = record.id === this.currentId ? 'On screen' : 'Open';
+    openBtn.disabled = record.id === this.currentId;
+    openBtn.onclick = () => this.onOpen(record);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.onclick = () => this._delete(record, deleteBtn);
+
+    actions.append(openBtn, deleteBtn);
+    card.appendChild(actions);
+
+    return card;
+  }
+
+  async _delete(record, button) {
+    // Second click confirms
+    if (!button.classList.contains('confirm')) {
+      button.classList.add('confirm');
+      button.textContent = 'Delete?';
+      return;
+    }
+
+    try {
+      await this.archive.delete(record.id);
+      console.log(`Archive: deleted ${record.edition} (${record.completed})`);
+    } catch (error) {
+      console.error('Could not delete relic from the archive:', error);
+    }
+
+    await this.refresh();
+  }
+
+  _note(text) {
+    const note = document.createElement('p');
+    note.className = 'gallery-note';
+    note.textContent = text;
+    return note;
+  }
+}
@@ -0,0 +1,101 @@
+import { openDatabase, runTransaction } from '../utils/db.js';
+
+/**
+ * The curator's ledger of issued editions, kept in IndexedDB so it
+ * survives reloads. Records are described in utils/ledger.js; their id
+ * is the same on every machine, so ledgers from several machines at one
+ * event merge without double-counting.
+ */
+export class Ledger {
+  /**
+   * @param {string} [name='stillbecoming-ledger'] - IndexedDB database name
+   */
+  constructor(name = 'stillbecoming-ledger') {
+    this.name = name;
+    this.db = null;
+  }
+
+  /**
+   * Open (or create) the database
+   */
+  async open() {
+    if (this.db) return this;
+
+    this.db = await openDatabase(this.name, 1, (db) => {
+      const store = db.createObjectStore('editions', { keyPath: 'id' });
+      store.createIndex('edition', 'edition');
+    });
+
+    return this;
+  }
+
+  /**
+   * Id of this machine, so merged ledgers show where each ritual ran
+   */
+  getStationId() {
+    const storageKey = 'stillbecoming_station';
+    let station = localStorage.getItem(storageKey);
+
+    if (!station) {
+      station = crypto.randomUUID();
+      localStorage.setItem(storageKey, station);
+    }
+
+    return station;
+  }
+
+  /**
+   * Add or replace one record
+   */
+  async record(entry) {
+    await this._transaction('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Every record, ordered by edition then completion time
+   * @returns {Promise<Array<Object>>}
+   */
+  async all() {
+    const entries = await this._transaction('readonly', store => store.getAll());
+
+    return entries.sort((a, b) =>
+      (a.edition ?? Infinity) - (b.edition ?? Infinity) || a.completed.localeCompare(b.completed)
+    );
+  }
+
+  /**
+   * Merge records from another machine's ledger. Records already present
+   * are kept, gaining a thumbnail if only the incoming copy has one.
+   * @param {Array<Object>} entries - Records (see utils/ledger.js parseLedger)
+   * @returns {Promise<Object>} { added, updated, unchanged }
+   */
+  async merge(entries) {
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+
+    await this._transaction('readwrite', (store) => {
+      for (const entry of entries) {
+        const request = store.get(entry.id);
+        request.onsuccess = () => {
+          const existing = request.result;
+
+          if (!existing) {
+            store.put(entry);
+            counts.added++;
+          } else if (!existing.thumbnail && entry.thumbnail) {
+            store.put({ ...existing, thumbnail: entry.thumbnail });
+            counts.updated++;
+          } else {
+            counts.unchanged++;
+          }
+        };
+      }
+    });
+
+    return counts;
+  }
+
+  async _transaction(mode, work) {
+    await this.open();
+    return runTransaction(this.db, 'editions', mode, work);
+  }
+}
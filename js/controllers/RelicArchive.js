@@ -0,0 +1,96 @@
+import { openDatabase, runTransaction } from '../utils/db.js';
+
+/**
+ * Every ritual completed in this browser, kept in IndexedDB so relics
+ * outlive the tab. A record is the relic's provenance (utils/provenance.js)
+ * plus what is needed to rebuild it exactly:
+ *   {
+ *     id: '<seed>/<completed>',
+ *     ...provenance,                  // seed, seedString, edition, completed, algorithm, score, palette
+ *     editionNumber: 42,              // null when unnumbered
+ *     events: [{ name, time }],       // Ritual inputs (taps), for branching scores
+ *     thumbnail: 'data:image/jpeg;base64,...'
+ *   }
+ */
+export class RelicArchive {
+  /**
+   * @param {string} [name='stillbecoming-archive'] - IndexedDB database name
+   */
+  constructor(name = 'stillbecoming-archive') {
+    this.name = name;
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this;
+
+    this.db = await openDatabase(this.name, 1, (db) => {
+      db.createObjectStore('relics', { keyPath: 'id' });
+    });
+
+    return this;
+  }
+
+  /**
+   * Store a completed ritual
+   * @param {Object} provenance - The relic's provenance record
+   * @param {Object} extra - { editionNumber, events, thumbnail }
+   * @returns {Promise<Object>} The stored record
+   */
+  async add(provenance, { editionNumber = null, events = [], thumbnail = '' } = {}) {
+    const record = {
+      id: `${provenance.seed}/${provenance.completed}`,
+      ...provenance,
+      editionNumber,
+      events,
+      thumbnail
+    };
+
+    await this._transaction('readwrite', store => store.put(record));
+    return record;
+  }
+
+  /**
+   * One record, or undefined
+   */
+  async get(id) {
+    return this._transaction('readonly', store => store.get(id));
+  }
+
+  /**
+   * Every record, newest first
+   */
+  async all() {
+    const records = await this._transaction('readonly', store => store.getAll());
+    return records.sort((a, b) => b.completed.localeCompare(a.completed));
+  }
+
+  /**
+   * Replace a stored relic's thumbnail, unless it has been deleted meanwhile
+   * @returns {Promise<boolean>} Whether the relic was still stored
+   */
+  async updateThumbnail(id, thumbnail) {
+    let found = false;
+
+    // Read and write in one transaction, so a deletion can't slip between them
+    await this._transaction('readwrite', (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        found = true;
+        store.put({ ...request.result, thumbnail });
+      };
+    });
+
+    return found;
+  }
+
+  async delete(id) {
+    await this._transaction('readwrite', store => store.delete(id));
+  }
+
+  async _transaction(mode, work) {
+    await this.open();
+    return runTransaction(this.db, 'relics', mode, work);
+  }
+}
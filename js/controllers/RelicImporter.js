@@ -0,0 +1,197 @@
+import { readProvenance } from '../utils/provenance.js';
+import { loadPublicKey, verifyRelic } from '../utils/signing.js';
+import { witnessURL } from '../utils/witness.js';
+import { parseISOTimestamp } from '../utils/time.js';
+import { scoreNameForPath } from '../utils/score.js';
+import { EditionManager } from './EditionManager.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * Accepts relic PNGs dropped onto the page, reads their embedded
+ * provenance and re-opens the piece, read-only, as a witness link
+ * (utils/witness.js): its seed, score, palette, edition and time, with
+ * nothing stored as the viewer's own
+ */
+export class RelicImporter {
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.dragDepth = 0;
+
+    // The site's public key, fetched on the first drop
+    this.publicKey = null;
+  }
+
+  /**
+   * Listen for files dragged onto the window
+   */
+  attach(target = window) {
+    target.addEventListener('dragenter', (event) => {
+      if (!this._hasFiles(event)) return;
+      event.preventDefault();
+      this.dragDepth++;
+      this.uiManager.showDropOverlay('Drop a relic to reopen it');
+    });
+
+    target.addEventListener('dragover', (event) => {
+      if (!this._hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    });
+
+    target.addEventListener('dragleave', () => {
+      this.dragDepth = Math.max(0, this.dragDepth - 1);
+      if (this.dragDepth === 0) {
+        this.uiManager.hideDropOverlay();
+      }
+    });
+
+    target.addEventListener('drop', (event) => {
+      if (!this._hasFiles(event)) return;
+      event.preventDefault();
+      this.dragDepth = 0;
+
+      const file = event.dataTransfer.files[0];
+      if (file) {
+        this.importFile(file);
+      }
+    });
+  }
+
+  /**
+   * Read a relic file and navigate to its seed
+   */
+  async importFile(file) {
+    let provenance;
+    try {
+      provenance = await readProvenance(file);
+    } catch (error) {
+      console.error(`Could not read relic "${file.name}":`, error.message);
+      this.uiManager.showDropOverlay('No stillbecoming provenance found in this file');
+      setTimeout(() => this.uiManager.hideDropOverlay(), 2500);
+      return;
+    }
+
+    console.log('Relic provenance:', provenance);
+
+    // A signed relic whose provenance no longer matches its signature isn't reopened
+    const signature = await this._checkSignature(file);
+    if (signature && signature.status === 'invalid') {
+      console.error(`Relic "${file.name}" failed verification: ${signature.message}`);
+      this.uiManager.showDropOverlay('This relic was altered after it was signed');
+      setTimeout(() => this.uiManager.hideDropOverlay(), 2500);
+      return;
+    }
+    if (signature && signature.status !== 'valid') {
+      console.warn(`Relic "${file.name}" is not verified: ${signature.message}`);
+    }
+
+    if (provenance.algorithm !== CONFIG.algorithmVersion) {
+      console.warn(`Relic was made with algorithm ${provenance.algorithm}; this is ${CONFIG.algorithmVersion}, so the re-render may differ.`);
+    }
+
+    let url;
+    try {
+      url = this.getReopenURL(provenance);
+    } catch (error) {
+      console.error(`Could not reopen relic "${file.name}":`, error.message);
+      this.uiManager.showDropOverlay('This relic\'s provenance is incomplete');
+      setTimeout(() => this.uiManager.hideDropOverlay(), 2500);
+      return;
+    }
+
+    this.uiManager.showDropOverlay(`Reopening ${provenance.edition}…`);
+    window.location.assign(url);
+  }
+
+  /**
+   * Witness link that re-renders a relic from its provenance. Taps aren't
+   * recorded in provenance, so a score that branches on them takes the
+   * path it would without any.
+   * Throws if the edition, completion time or score can't be read.
+   */
+  getReopenURL(provenance) {
+    const edition = EditionManager.parseLabel(provenance.edition);
+    if (!edition) {
+      throw new Error(`unreadable edition "${provenance.edition}"`);
+    }
+
+    const completed = parseISOTimestamp(provenance.completed);
+    if (!completed) {
+      throw new Error(`unreadable completion time "${provenance.completed}"`);
+    }
+
+    const score = scoreNameForPath(provenance.score);
+    if (!score && provenance.score && provenance.score !== CONFIG.scorePath) {
+      throw new Error(`score "${provenance.score}" is not in ${CONFIG.scoreDirectory}`);
+    }
+
+    const palette = provenance.palette || {};
+    return witnessURL({
+      seed: provenance.seed,
+      editionNumber: edition.editionNumber,
+      cap: edition.cap,
+      completed: completed.date,
+      offset: completed.offsetMinutes,
+      palette: palette.name || '',
+      mode: palette.mode || 'dark',
+      score,
+      events: []
+    });
+  }
+
+  /**
+   * URL that re-renders a relic from this browser's archive
+   * (controllers/RelicArchive.js) with its seed, palette, display mode and
+   * score; the sketch restores the rest from the archive record
+   */
+  getArchiveURL(record) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.searchParams.set('seed', record.seed);
+    url.searchParams.set('archive', record.id);
+
+    const scoreName = scoreNameForPath(record.score);
+    if (scoreName) {
+      url.searchParams.set('score', scoreName);
+    }
+
+    // Pin the palette, in case the relic's was chosen by ?palette=
+    if (record.palette && record.palette.name) {
+      url.searchParams.set('palette', record.palette.name);
+    }
+
+    // Show it on the ground it was made on
+    if (record.palette && record.palette.mode) {
+      url.searchParams.set('mode', record.palette.mode);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * verifyRelic's result, or null when the site publishes no public key
+   */
+  async _checkSignature(file) {
+    if (!this.publicKey) {
+      this.publicKey = loadPublicKey(CONFIG.signing.publicKeyPath);
+    }
+
+    let key;
+    try {
+      key = await this.publicKey;
+    } catch (error) {
+      return null;
+    }
+
+    try {
+      return await verifyRelic(file, key);
+    } catch (error) {
+      console.warn('Could not check the relic signature:', error.message);
+      return null;
+    }
+  }
+
+  _hasFiles(event) {
+    return event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
+  }
+}
@@ -1,135 +1,66 @@
-import { easeInOutCubic, easeOutCubic, easeInCubic, lerp } from '../utils/easing.js';
+import { getEasing, lerp } from '../utils/easing.js';
+import { PARAM_DEFAULTS } from '../utils/score.js';
+import { EventEmitter } from '../utils/events.js';
 
-/**
- * Ritual states and their configurations
- */
-const STATES = {
-  BOOT: {
-    duration: 0.8,
-    targets: {
-      cameraTiltX: 0, cameraTiltY: 0, cameraZoom: 1,
-      zLiftStrength: 0, noiseAmp: 0, glitchRate: 0,
-      geometryCompletion: 0, gridVisibility: 0,
-      particleEnergy: 0, weatheringAmount: 0
-    }
-  },
-  TITLE: {
-    duration: 2.2,
-    targets: {
-      cameraTiltX: 0, cameraTiltY: 0, cameraZoom: 1,
-      zLiftStrength: 0, noiseAmp: 0, glitchRate: 0,
-      geometryCompletion: 0, gridVisibility: 0,
-      particleEnergy: 0.1, weatheringAmount: 0.05
-    }
-  },
-  INVOKE_2D: {
-    duration: 3.0,
-    targets: {
-      cameraTiltX: 0, cameraTiltY: 0, cameraZoom: 1,
-      zLiftStrength: 0, noiseAmp: 0.02, glitchRate: 0,
-      geometryCompletion: 0.15, gridVisibility: 0,
-      particleEnergy: 0.3, weatheringAmount: 0.1
-    }
-  },
-  BLOOM_BUILD: {
-    duration: 10.0,
-    targets: {
-      cameraTiltX: 0, cameraTiltY: 0, cameraZoom: 1,
-      zLiftStrength: 0, noiseAmp: 0.05, glitchRate: 0.05,
-      geometryCompletion: 1.0, gridVisibility: 0,
-      particleEnergy: 0.8, weatheringAmount: 0.15
-    }
-  },
-  GRID_ASSERT: {
-    duration: 6.0,
-    targets: {
-      cameraTiltX: 0, cameraTiltY: 0, cameraZoom: 1,
-      zLiftStrength: 0, noiseAmp: 0.08, glitchRate: 0.1,
-      geometryCompletion: 1.0, gridVisibility: 1.0,
-      particleEnergy: 0.9, weatheringAmount: 0.2
-    }
-  },
-  BREACH_3D: {
-    duration: 3.0,
-    targets: {
-      cameraTiltX: 0.4, cameraTiltY: 0.3, cameraZoom: 0.65,
-      zLiftStrength: 0.6, noiseAmp: 0.12, glitchRate: 0.15,
-      geometryCompletion: 1.0, gridVisibility: 1.0,
-      particleEnergy: 1.0, weatheringAmount: 0.25
-    }
-  },
-  DESTABILIZE: {
-    duration: 5.0,
-    targets: {
-      cameraTiltX: 0.5, cameraTiltY: 0.4, cameraZoom: 0.55,
-      zLiftStrength: 1.0, noiseAmp: 0.3, glitchRate: 0.4,
-      geometryCompletion: 1.0, gridVisibility: 0.7,
-      particleEnergy: 1.2, weatheringAmount: 0.4
-    }
-  },
-  REASSEMBLE: {
-    duration: 5.0,
-    targets: {
-      cameraTiltX: 0.1, cameraTiltY: 0.05, cameraZoom: 0.95,
-      zLiftStrength: 0.3, noiseAmp: 0.1, glitchRate: 0.1,
-      geometryCompletion: 1.0, gridVisibility: 0.9,
-      particleEnergy: 0.6, weatheringAmount: 0.3
-    }
-  },
-  CONSECRATE_2D: {
-    duration: 1.8,
-    targets: {
-      cameraTiltX: 0, cameraTiltY: 0, cameraZoom: 1,
-      zLiftStrength: 0, noiseAmp: 0.02, glitchRate: 0,
-      geometryCompletion: 1.0, gridVisibility: 1.0,
-      particleEnergy: 0.2, weatheringAmount: 0.5
-    }
-  },
-  RELIC: {
-    duration: Infinity,
-    targets: {
-      cameraTiltX: 0, cameraTiltY: 0, cameraZoom: 1,
-      zLiftStrength: 0, noiseAmp: 0, glitchRate: 0,
-      geometryCompletion: 1.0, gridVisibility: 1.0,
-      particleEnergy: 0, weatheringAmount: 0.6
-    }
-  }
-};
+// Transition length for open-ended states (RELIC)
+const DEFAULT_TRANSITION = 3.0;
 
-const STATE_SEQUENCE = [
-  'BOOT', 'TITLE', 'INVOKE_2D', 'BLOOM_BUILD', 'GRID_ASSERT',
-  'BREACH_3D', 'DESTABILIZE', 'REASSEMBLE', 'CONSECRATE_2D', 'RELIC'
-];
+// Safety limit on state visits when resolving looping scores
+const MAX_VISITS = 256;
 
 /**
- * State machine that orchestrates the ritual sequence
+ * State machine that orchestrates the ritual sequence.
+ * Parameters are a pure function of ritual time, so the timeline can be
+ * paused, scrubbed and replayed.
+ *
+ * The sequence comes from a score (see utils/score.js and scores/*.json).
+ * Each state eases parameters from where the previous state left them to
+ * its targets over `transition` seconds (defaults to the state's duration),
+ * using `easing`, optionally overridden per parameter via `paramEasing`.
+ *
+ * States may declare `next` rules (loops, seed-trait branches, input
+ * branches) and `holdUntil` events, so the score is a graph. The controller
+ * resolves it into a path of state visits for the current seed and the
+ * events signalled so far; the timeline, progress and parameters are all
+ * computed along that path.
+ *
+ * Listeners subscribe through on(), which returns an unsubscribe handle:
+ *   'enter' / 'enter:STATE'   a state visit begins  ({ state, index })
+ *   'exit' / 'exit:STATE'     a state visit ends    ({ state, index })
+ *   'cue' / 'cue:<label>'     a score cue point     ({ label, state, at })
+ *   'progress'                after every update    ({ state, stateProgress, globalProgress, time })
+ *   'complete'                playback reaches the final state (RELIC)
  */
-export class RitualController {
-  constructor() {
+export class RitualController extends EventEmitter {
+  /**
+   * @param {Object} score - Normalized score from parseScore()
+   * @param {SeedManager} seedManager - Source of seed traits for branching
+   */
+  constructor(score, seedManager) {
+    super();
+    this.score = score;
+    this.states = score.states;
+    this.sequence = score.sequence;
+    this.seed = seedManager;
+
+    // Signalled events ({ name, time }) that holds and input branches react to
+    this.events = [];
+    this.path = this._resolvePath();
+
     this.currentStateIndex = 0;
-    this.currentStateName = STATE_SEQUENCE[0];
+    this.currentStateName = this.path[0].name;
     this.timeInState = 0;
     this.globalTime = 0;
 
-    // Current parameter values (smoothly interpolated)
-    this.params = {
-      cameraTiltX: 0,
-      cameraTiltY: 0,
-      cameraZoom: 1,
-      zLiftStrength: 0,
-      noiseAmp: 0,
-      glitchRate: 0,
-      geometryCompletion: 0,
-      gridVisibility: 0,
-      particleEnergy: 0,
-      weatheringAmount: 0
-    };
+    // Playback controls
+    this.isPaused = false;
+    this.rate = 1;
 
-    // Target values (from state definitions)
-    this.targets = { ...STATES[this.currentStateName].targets };
+    // Current parameter values (eased between state targets)
+    this.params = this.evaluate(0);
 
-    // Callbacks for state transitions
-    this.onStateChangeCallbacks = [];
+    // Target values (from state definitions)
+    this.targets = { ...this.states[this.currentStateName].targets };
 
     // Ritual completion flag
     this.ritualComplete = false;
@@ -137,70 +68,335 @@ export class RitualController {
   }
 
   /**
-   * Register a callback for state changes
+   * Register a callback for state changes (shorthand for on('enter'))
    */
   onStateChange(callback) {
-    this.onStateChangeCallbacks.push(callback);
+    return this.on('enter', ({ state, index }) => callback(state, index));
   }
 
   /**
    * Update the ritual controller
    */
   update(deltaTime) {
-    this.globalTime += deltaTime;
-    this.timeInState += deltaTime;
+    if (this.isPaused) return;
 
-    const currentState = STATES[this.currentStateName];
-    const stateProgress = Math.min(this.timeInState / currentState.duration, 1.0);
+    this._moveTo(this.globalTime + deltaTime * this.rate, true);
+  }
 
-    // Check for state transition
-    if (this.timeInState >= currentState.duration && this.currentStateIndex < STATE_SEQUENCE.length - 1) {
-      this._transitionToNextState();
-    }
+  /**
+   * Jump to an absolute ritual time (seconds).
+   * Only the destination state's enter and already-passed cues fire;
+   * states and cues skipped over are not replayed, and 'complete' never
+   * fires. Seeking before the final state clears completion.
+   */
+  seek(seconds) {
+    this._moveTo(seconds, false);
+  }
 
-    // Smoothly interpolate parameters toward targets
-    this._updateParameters(deltaTime, stateProgress);
+  /**
+   * Signal a named event (e.g. 'tap') at the current ritual time.
+   * Releases states held until that event and feeds input branches.
+   */
+  signal(name) {
+    this.events.push({ name, time: this.globalTime });
+    this.path = this._resolvePath();
+    this._moveTo(this.globalTime, true);
   }
 
-  _transitionToNextState() {
-    this.currentStateIndex++;
-    this.currentStateName = STATE_SEQUENCE[this.currentStateIndex];
-    this.timeInState = 0;
+  /**
+   * Move the playhead, firing transitions and cues. When playing forward,
+   * every state and cue crossed since the last update fires in order.
+   */
+  _moveTo(seconds, playing) {
+    const previousTime = this.globalTime;
+    const previousIndex = this.currentStateIndex;
 
-    // Update targets
-    this.targets = { ...STATES[this.currentStateName].targets };
+    this.globalTime = Math.max(0, seconds);
 
-    // Check if entering RELIC state
-    if (this.currentStateName === 'RELIC') {
-      this.ritualComplete = true;
-      this.completionTimestamp = new Date();
+    const { index, timeInState } = this._locate(this.globalTime);
+    this.timeInState = timeInState;
+    this.params = this.evaluate(this.globalTime);
+
+    // Scrubbing back from the relic un-completes the ritual
+    if (!playing && !this.path[index].terminal) {
+      this.ritualComplete = false;
+      this.completionTimestamp = null;
     }
 
-    // Notify listeners
-    this.onStateChangeCallbacks.forEach(callback => {
-      callback(this.currentStateName, this.currentStateIndex);
+    if (playing && index >= previousIndex && this.globalTime >= previousTime) {
+      for (let i = previousIndex; i <= index; i++) {
+        const visit = this.path[i];
+        const entered = i > previousIndex;
+        if (entered) {
+          this._enterState(i, true);
+        }
+
+        const from = entered ? visit.start : previousTime;
+        const to = i === index ? this.globalTime : visit.start + visit.duration;
+        this._emitCues(visit, from, to, entered);
+      }
+    } else if (index !== previousIndex) {
+      this._enterState(index, playing);
+      this._emitCues(this.path[index], this.path[index].start, this.globalTime, true);
+    }
+
+    this._emit('progress', {
+      state: this.currentStateName,
+      stateProgress: this.getStateProgress(),
+      globalProgress: this.getGlobalProgress(),
+      time: this.globalTime
     });
   }
 
-  _updateParameters(deltaTime, stateProgress) {
-    // Choose easing function based on state
-    let easingFunc = easeInOutCubic;
+  /**
+   * Fire the cues of a visit that fall between two ritual times
+   */
+  _emitCues(visit, from, to, includeStart) {
+    const state = this.states[visit.name];
+
+    for (const cue of state.cues || []) {
+      // Cues inside an open-ended state can only sit at its start
+      const offset = cue.at === 0 ? 0 : cue.at * visit.duration;
+      if (!Number.isFinite(offset)) continue;
+
+      const cueTime = visit.start + offset;
+      const reached = includeStart ? cueTime >= from : cueTime > from;
+      if (reached && cueTime <= to) {
+        const payload = { label: cue.label, state: visit.name, at: cue.at };
+        this._emit('cue', payload);
+        this._emit(`cue:${cue.label}`, payload);
+      }
+    }
+  }
+
+  /**
+   * Create a fresh controller at time 0 that replays this performance
+   * (same score, seed and signalled events), with no listeners attached
+   */
+  createReplay() {
+    const replay = new RitualController(this.score, this.seed);
+    replay.events = this.events.map(event => ({ ...event }));
+    replay.path = replay._resolvePath();
+    return replay;
+  }
+
+  /**
+   * Replace the signalled events with those of an earlier performance
+   * (e.g. an archived ritual), so branches resolve the same way
+   * @param {Array<Object>} events - { name, time } in ritual seconds
+   */
+  restoreEvents(events) {
+    this.events = events.map(event => ({ ...event }));
+    this.path = this._resolvePath();
+  }
+
+  /**
+   * Freeze the timeline at the current time
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * Continue playback after pause()
+   */
+  resume() {
+    this.isPaused = false;
+  }
+
+  /**
+   * Set playback speed (1 = real time, 0.5 = half speed, negative plays backwards)
+   */
+  setRate(rate) {
+    if (!Number.isFinite(rate)) return;
+    this.rate = rate;
+  }
+
+  /**
+   * Evaluate the full parameter set at any ritual time (seconds).
+   * Pure: does not touch the controller's playback state.
+   */
+  evaluate(t) {
+    let params = { ...PARAM_DEFAULTS };
+
+    for (const visit of this.path) {
+      const state = this.states[visit.name];
+      const elapsed = Math.min(t - visit.start, visit.duration);
+
+      params = this._interpolateState(state, params, Math.max(elapsed, 0));
+
+      if (t < visit.start + visit.duration) break;
+    }
+
+    return params;
+  }
+
+  /**
+   * Ease from the values a state started with toward its targets
+   */
+  _interpolateState(state, startParams, elapsed) {
+    const transition = this._getTransition(state);
+    const progress = transition > 0 ? Math.min(elapsed / transition, 1.0) : 1.0;
+    const easing = getEasing(state.easing || 'easeInOutCubic');
+    const paramEasing = state.paramEasing || {};
+
+    const params = {};
+    for (const key in startParams) {
+      const ease = paramEasing[key] ? getEasing(paramEasing[key]) : easing;
+      params[key] = lerp(startParams[key], state.targets[key], ease(progress));
+    }
+
+    return params;
+  }
+
+  _getTransition(state) {
+    if (state.transition !== undefined) return state.transition;
+    return Number.isFinite(state.duration) ? state.duration : DEFAULT_TRANSITION;
+  }
+
+  /**
+   * Resolve the score graph into the ordered list of state visits.
+   * With `projected`, a hold still waiting for its event is assumed to
+   * release now (or when its minimum duration ends), so the rest of the
+   * path can be measured for progress.
+   */
+  _resolvePath({ projected = false } = {}) {
+    const path = [];
+    const edgeCounts = {};
+    let name = this.sequence[0];
+    let start = 0;
+
+    while (path.length < MAX_VISITS) {
+      const state = this.states[name];
+      const visit = { name, start, duration: state.duration, terminal: false };
+      path.push(visit);
+
+      if (state.holdUntil) {
+        const event = this.events.find(e => e.name === state.holdUntil && e.time >= start);
+        if (event) {
+          visit.duration = Math.max(state.duration, event.time - start);
+        } else if (projected) {
+          visit.duration = Math.max(state.duration, this.globalTime - start);
+        } else {
+          // Held open until the event is signalled
+          visit.duration = Infinity;
+          break;
+        }
+      }
+
+      const next = Number.isFinite(visit.duration) ? this._chooseNext(name, visit, edgeCounts) : null;
+      if (!next) {
+        visit.duration = Infinity;
+        visit.terminal = true;
+        break;
+      }
+
+      start += visit.duration;
+      name = next;
+    }
+
+    if (path.length >= MAX_VISITS) {
+      console.warn(`Ritual score "${this.score.name}" loops past ${MAX_VISITS} states; holding the last one.`);
+      const last = path[path.length - 1];
+      last.duration = Infinity;
+      last.terminal = true;
+    }
+
+    return path;
+  }
+
+  /**
+   * Pick the state that follows a visit: the first matching `next` rule,
+   * otherwise the following state in the sequence
+   */
+  _chooseNext(name, visit, edgeCounts) {
+    const state = this.states[name];
+
+    for (const rule of state.next || []) {
+      if (rule.when && !this._ruleConditionHolds(rule.when, visit)) continue;
+
+      if (rule.repeat) {
+        const edge = `${name}>${rule.to}`;
+        const taken = edgeCounts[edge] || 0;
+        if (taken >= this._repeatCount(edge, rule.repeat)) continue;
+        edgeCounts[edge] = taken + 1;
+      }
+
+      return rule.to;
+    }
+
+    const sequenceIndex = this.sequence.indexOf(name);
+    if (sequenceIndex === -1 || sequenceIndex === this.sequence.length - 1) return null;
+    return this.sequence[sequenceIndex + 1];
+  }
+
+  _ruleConditionHolds(when, visit) {
+    if (when.trait !== undefined) {
+      const value = this.seed.trait(when.trait);
+      if (when.above !== undefined && !(value > when.above)) return false;
+      if (when.below !== undefined && !(value < when.below)) return false;
+    }
+
+    if (when.event !== undefined) {
+      const end = visit.start + visit.duration;
+      const fired = this.events.some(e => e.name === when.event && e.time >= visit.start && e.time < end);
+      if (!fired) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Seed-determined number of times a repeating edge is taken
+   */
+  _repeatCount(edge, [min, max]) {
+    return min + Math.floor(this.seed.trait(`repeat/${edge}`) * (max - min + 1));
+  }
 
-    if (this.currentStateName === 'BOOT' || this.currentStateName === 'TITLE') {
-      easingFunc = easeOutCubic;
-    } else if (this.currentStateName === 'DESTABILIZE') {
-      easingFunc = easeInCubic;
-    } else if (this.currentStateName === 'CONSECRATE_2D') {
-      easingFunc = easeOutCubic;
+  /**
+   * Find which state visit is active at ritual time t
+   */
+  _locate(t) {
+    for (let i = 0; i < this.path.length - 1; i++) {
+      const visit = this.path[i];
+      if (t < visit.start + visit.duration) {
+        return { index: i, timeInState: t - visit.start };
+      }
     }
 
-    const easedProgress = easingFunc(stateProgress);
+    const last = this.path[this.path.length - 1];
+    return { index: this.path.length - 1, timeInState: t - last.start };
+  }
+
+  /**
+   * Make a state visit current. Only playback completes the ritual:
+   * seeking into the final state doesn't.
+   */
+  _enterState(index, playing) {
+    const exited = { state: this.currentStateName, index: this.currentStateIndex };
+    this._emit('exit', exited);
+    this._emit(`exit:${exited.state}`, exited);
+
+    this.currentStateIndex = index;
+    this.currentStateName = this.path[index].name;
 
-    // Smoothly interpolate each parameter
-    for (const key in this.params) {
-      const target = this.targets[key];
-      const smoothing = 0.05; // Dampening factor
-      this.params[key] = lerp(this.params[key], target, smoothing);
+    // Update targets
+    this.targets = { ...this.states[this.currentStateName].targets };
+
+    // Check if playback is entering the final (RELIC) state
+    const completing = playing && this.path[index].terminal && !this.ritualComplete;
+    if (completing) {
+      this.ritualComplete = true;
+      this.completionTimestamp = new Date();
+    }
+
+    // Notify listeners
+    const entered = { state: this.currentStateName, index };
+    this._emit('enter', entered);
+    this._emit(`enter:${entered.state}`, entered);
+
+    if (completing) {
+      this._emit('complete', { timestamp: this.completionTimestamp });
     }
   }
 
@@ -215,31 +411,33 @@ export class RitualController {
    * Get normalized progress within current state (0-1)
    */
   getStateProgress() {
-    const currentState = STATES[this.currentStateName];
-    return Math.min(this.timeInState / currentState.duration, 1.0);
+    const duration = this.path[this.currentStateIndex].duration;
+    return Math.min(this.timeInState / duration, 1.0);
   }
 
   /**
-   * Get global normalized progress through entire ritual (0-1)
+   * Get global normalized progress through entire ritual (0-1),
+   * measured along the path resolved for this seed
    */
   getGlobalProgress() {
-    if (this.currentStateName === 'RELIC') return 1.0;
-
-    let totalDuration = 0;
-    let elapsedDuration = 0;
+    if (this.path[this.currentStateIndex].terminal) return 1.0;
 
-    for (let i = 0; i < STATE_SEQUENCE.length - 1; i++) {
-      const stateDuration = STATES[STATE_SEQUENCE[i]].duration;
-      totalDuration += stateDuration;
+    return Math.min(this.globalTime / this.getDuration(), 1.0);
+  }
 
-      if (i < this.currentStateIndex) {
-        elapsedDuration += stateDuration;
-      } else if (i === this.currentStateIndex) {
-        elapsedDuration += this.timeInState;
-      }
-    }
+  /**
+   * Get total ritual length in seconds (up to the start of the final state)
+   */
+  getDuration() {
+    const path = this._resolvePath({ projected: true });
+    return path[path.length - 1].start;
+  }
 
-    return elapsedDuration / totalDuration;
+  /**
+   * Get the resolved path of state visits ({ name, start, duration })
+   */
+  getPath() {
+    return this.path.map(({ name, start, duration }) => ({ name, start, duration }));
   }
 
   /**
@@ -249,6 +447,13 @@ export class RitualController {
     return this.params[name];
   }
 
+  /**
+   * Get a copy of all current parameter values
+   */
+  getParams() {
+    return { ...this.params };
+  }
+
   /**
    * Check if ritual is complete
    */
@@ -1,10 +1,21 @@
 import { seedFromString } from '../utils/hash.js';
+import { RandomStream } from '../utils/random.js';
+import { SimplexNoise } from '../utils/noise.js';
 
 /**
- * Manages deterministic seeding for the entire artwork
+ * Manages deterministic seeding for the entire artwork.
+ *
+ * A visitor's session seed is created once and kept in localStorage, so
+ * they get the same relic every visit. Any other seed is used without
+ * being stored:
+ *   - `?seed=<seed>` reopens a seed (dropped relics, the gallery, testing)
+ *   - the constructor's `sessionSeed` is a witnessed relic's (utils/witness.js)
  */
 export class SeedManager {
-  constructor() {
+  /**
+   * @param {string} [sessionSeed] - Seed to use instead of the visitor's own
+   */
+  constructor(sessionSeed = null) {
     this.masterSeed = "STILLBECOMING_2026";
     this.sessionSeed = null;
     this.seedInt = 0;
@@ -14,8 +25,9 @@ export class SeedManager {
     const urlParams = new URLSearchParams(window.location.search);
     const urlSeed = urlParams.get('seed');
 
-    if (urlSeed) {
-      // Testing mode: use URL seed
+    if (sessionSeed) {
+      this.sessionSeed = sessionSeed;
+    } else if (urlSeed) {
       this.sessionSeed = urlSeed;
     } else {
       // Normal mode: use or create stored seed
@@ -49,44 +61,49 @@ export class SeedManager {
   }
 
   _initRNG() {
-    // Set p5's noise seed
-    if (window.noiseSeed) {
-      window.noiseSeed(this.seedInt);
-    }
+    // Master stream, owned here rather than borrowed from p5's globals
+    // (which don't exist when p5 runs in instance mode)
+    this.random = new RandomStream(this.seedInt);
 
-    // Set p5's random seed
-    if (window.randomSeed) {
-      window.randomSeed(this.seedInt);
-    }
+    // Shared noise field, seeded from its own substream
+    this.noiseField = new SimplexNoise(this.stream('noise'));
+  }
+
+  /**
+   * Create an independent named substream (e.g. 'geometry', 'grid').
+   * Every call returns a fresh stream starting at its first value, and
+   * drawing from one stream never shifts the values of another.
+   */
+  stream(name) {
+    return new RandomStream(seedFromString(`${this.seedString}/${name}`));
+  }
+
+  /**
+   * Get a named seed trait: a stable value between 0 and 1 for this seed
+   * (used by the ritual score to branch and loop)
+   */
+  trait(name) {
+    return this.stream(`trait/${name}`).rand();
   }
 
   /**
    * Get a seeded random number between 0 and 1
    */
   rand() {
-    if (window.random) {
-      return window.random();
-    }
-    return Math.random();
+    return this.random.rand();
   }
 
   /**
    * Get a seeded random number between a and b
    */
   randRange(a, b) {
-    if (window.random) {
-      return window.random(a, b);
-    }
-    return a + Math.random() * (b - a);
+    return this.random.randRange(a, b);
   }
 
   /**
-   * Get seeded noise value
+   * Get seeded noise value between 0 and 1 (same range as p5's noise)
    */
   noise(x, y = 0, z = 0) {
-    if (window.noise) {
-      return window.noise(x, y, z);
-    }
-    return 0.5;
+    return this.noiseField.noise3D(x, y, z) * 0.5 + 0.5;
   }
 }
@@ -6,17 +6,40 @@ export class UIManager {
     this.editionLabel = document.getElementById('edition-label');
     this.timestampLabel = document.getElementById('timestamp-label');
     this.downloadBtn = document.getElementById('download-btn');
+    this.downloadCancelBtn = document.getElementById('download-cancel');
+    this.exportMenu = document.getElementById('export-menu');
+    this.dropOverlay = document.getElementById('drop-overlay');
+    this.printOptions = document.getElementById('print-options');
+    this.printPresetSelect = document.getElementById('print-preset');
+    this.printBleedToggle = document.getElementById('print-bleed');
     this.mobileModal = document.getElementById('mobile-modal');
     this.progressBarContainer = document.getElementById('progress-bar-container');
     this.progressBarFill = document.getElementById('progress-bar-fill');
     this.audioCredit = document.getElementById('audio-credit');
     this.muteBtn = document.getElementById('mute-btn');
+    this.paperModeToggle = document.getElementById('paper-mode-toggle');
+    this.galleryBtn = document.getElementById('gallery-btn');
+    this.witnessNote = document.getElementById('witness-note');
 
     this.isRelicState = false;
     this.isMobileDevice = this._detectMobile();
     this.mobileAcknowledged = localStorage.getItem('stillbecoming_mobile_ack') === 'true';
   }
 
+  /**
+   * Subscribe UI elements to ritual timeline events.
+   * Returns a function that removes every subscription.
+   */
+  attachToRitual(ritual) {
+    const subscriptions = [
+      ritual.on('progress', ({ globalProgress }) => this.updateProgressBar(globalProgress)),
+      ritual.on('cue:title', () => this.setEditionLabelOpacity(0.65)),
+      ritual.on('complete', () => this.hideProgressBar())
+    ];
+
+    return () => subscriptions.forEach(unsubscribe => unsubscribe());
+  }
+
   /**
    * Detect if user is on mobile device
    */
@@ -132,6 +155,82 @@ export class UIManager {
     }
   }
 
+  /**
+   * Follow an export job (see ExportJob.js) on the download button:
+   * progress while it runs, a cancel button beside it, and how it ended
+   */
+  showDownloadJob(job) {
+    if (!this.downloadBtn) return;
+
+    this.downloadBtn.classList.remove('failed');
+    this.downloadBtn.title = '';
+    this.setDownloadLabel('Preparing…');
+
+    if (this.downloadCancelBtn) {
+      this.downloadCancelBtn.classList.remove('hidden');
+      this.downloadCancelBtn.onclick = () => job.cancel();
+    }
+
+    job.on('progress', ({ progress }) => {
+      this.setDownloadLabel(`Rendering ${Math.round(progress * 100)}%`);
+    });
+
+    job.on('state', ({ state, error }) => {
+      if (state === 'encoding') {
+        this.setDownloadLabel('Encoding…');
+        return;
+      }
+
+      if (!job.isFinished()) return;
+
+      if (this.downloadCancelBtn) {
+        this.downloadCancelBtn.classList.add('hidden');
+        this.downloadCancelBtn.onclick = null;
+      }
+
+      if (state === 'done') {
+        this._flashDownloadLabel('Saved');
+      } else if (state === 'cancelled') {
+        this._flashDownloadLabel('Cancelled');
+      } else {
+        // Stays up until the next attempt, with the reason on hover
+        this.downloadBtn.classList.add('failed');
+        this.downloadBtn.title = error ? error.message : '';
+        this.setDownloadLabel('Export failed · retry');
+        this.downloadBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Show progress on the download button (null restores its label)
+   */
+  setDownloadLabel(text) {
+    if (!this.downloadBtn) return;
+
+    if (!this.downloadBtn.dataset.label) {
+      this.downloadBtn.dataset.label = this.downloadBtn.textContent;
+    }
+
+    this.downloadBtn.textContent = text === null ? this.downloadBtn.dataset.label : text;
+    this.downloadBtn.disabled = text !== null;
+  }
+
+  /**
+   * Briefly show an outcome on the download button, then restore it
+   */
+  _flashDownloadLabel(text) {
+    this.setDownloadLabel(text);
+    this.downloadBtn.disabled = false;
+
+    clearTimeout(this.downloadLabelTimer);
+    this.downloadLabelTimer = setTimeout(() => {
+      if (this.downloadBtn.textContent === text) {
+        this.setDownloadLabel(null);
+      }
+    }, 2500);
+  }
+
   hideDownloadButton() {
     if (this.downloadBtn) {
       this.downloadBtn.classList.add('hidden');
@@ -140,6 +239,174 @@ export class UIManager {
     }
   }
 
+  /**
+   * Show the secondary export buttons. `handlers` maps each button's
+   * data-export key to its click callback; buttons without one stay hidden.
+   */
+  showExportMenu(handlers) {
+    if (!this.exportMenu) return;
+
+    for (const button of this.exportMenu.querySelectorAll('[data-export]')) {
+      const handler = handlers[button.dataset.export];
+      button.style.display = handler ? '' : 'none';
+      button.onclick = handler || null;
+    }
+
+    this.exportMenu.classList.remove('hidden');
+  }
+
+  hideExportMenu() {
+    if (this.exportMenu) {
+      this.exportMenu.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Replace an export button's label while it works (e.g. "Rendering 40%").
+   * Passing null restores the original label and re-enables the button.
+   */
+  setExportLabel(key, text) {
+    const button = this.exportMenu && this.exportMenu.querySelector(`[data-export="${key}"]`);
+    if (!button) return;
+
+    if (!button.dataset.label) {
+      button.dataset.label = button.textContent;
+    }
+
+    button.textContent = text === null ? button.dataset.label : text;
+    button.disabled = text !== null;
+  }
+
+  /**
+   * Briefly show an outcome on an export button (e.g. "Link copied"), then restore it
+   */
+  flashExportLabel(key, text) {
+    this.setExportLabel(key, text);
+
+    clearTimeout(this.exportLabelTimer);
+    this.exportLabelTimer = setTimeout(() => this.setExportLabel(key, null), 2500);
+  }
+
+  /**
+   * Show the print preset picker for the relic PNG
+   * @param {Object} presets - PRINT_PRESETS from utils/print.js
+   * @param {Object} settings - Current { preset, bleed }
+   * @param {number} defaultBleed - Bleed (mm) used when the toggle is switched on
+   * @param {Function} onChange - Called with the new { preset, bleed }
+   */
+  showPrintOptions(presets, settings, defaultBleed, onChange) {
+    if (!this.printOptions || !this.printPresetSelect) return;
+
+    this.printPresetSelect.innerHTML = '';
+    for (const [key, preset] of Object.entries(presets)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = preset.label;
+      this.printPresetSelect.appendChild(option);
+    }
+    this.printPresetSelect.value = settings.preset;
+
+    const bleedFor = () => (this.printBleedToggle && this.printBleedToggle.checked ? settings.bleed || defaultBleed : 0);
+    const update = () => {
+      // Screen exports have no physical size, so no bleed
+      const isPrint = !presets[this.printPresetSelect.value].pixels;
+      if (this.printBleedToggle) this.printBleedToggle.disabled = !isPrint;
+      onChange({ preset: this.printPresetSelect.value, bleed: isPrint ? bleedFor() : 0 });
+    };
+
+    if (this.printBleedToggle) {
+      this.printBleedToggle.checked = settings.bleed > 0;
+      this.printBleedToggle.onchange = update;
+    }
+    this.printPresetSelect.onchange = update;
+    update();
+
+    this.printOptions.classList.remove('hidden');
+  }
+
+  /**
+   * The welcome modal's dedication, one string per paragraph, with '\n'
+   * where the modal breaks a line
+   */
+  getDedication() {
+    const paragraphs = document.querySelectorAll('#welcome-modal .modal-text p');
+
+    return Array.from(paragraphs, (paragraph) => {
+      // Mark the <br>s, collapse the markup's whitespace, then turn the marks into breaks
+      const copy = paragraph.cloneNode(true);
+      copy.querySelectorAll('br').forEach(br => br.replaceWith('\uE000'));
+      return copy.textContent.replace(/\s+/g, ' ').replace(/ ?\uE000 ?/g, '\n').trim();
+    });
+  }
+
+  showGalleryButton(callback) {
+    if (this.galleryBtn) {
+      this.galleryBtn.onclick = callback;
+      this.galleryBtn.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Hide the welcome modal without waiting for Begin (e.g. when reopening a relic)
+   */
+  hideWelcomeModal() {
+    const welcomeModal = document.getElementById('welcome-modal');
+    if (welcomeModal) {
+      welcomeModal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Wire the welcome modal's drafting paper toggle
+   * @param {string} mode - Current display mode, 'dark' or 'paper'
+   * @param {Function|null} onChange - Called with the newly chosen mode
+   *   (null locks the toggle, e.g. on a witnessed relic's own ground)
+   */
+  setupDisplayModeToggle(mode, onChange) {
+    this.setDisplayMode(mode);
+    if (!this.paperModeToggle) return;
+
+    this.paperModeToggle.disabled = !onChange;
+    this.paperModeToggle.onchange = onChange
+      ? () => onChange(this.paperModeToggle.checked ? 'paper' : 'dark')
+      : null;
+  }
+
+  /**
+   * Mark the page as witnessing someone else's relic, with a way back to
+   * the visitor's own ritual
+   */
+  showWitnessNote(ownURL) {
+    if (!this.witnessNote) return;
+
+    const link = this.witnessNote.querySelector('a');
+    if (link) link.href = ownURL;
+    this.witnessNote.classList.remove('hidden');
+  }
+
+  /**
+   * Restyle the page chrome for a display mode
+   */
+  setDisplayMode(mode) {
+    document.body.classList.toggle('paper-mode', mode === 'paper');
+    if (this.paperModeToggle) {
+      this.paperModeToggle.checked = mode === 'paper';
+    }
+  }
+
+  showDropOverlay(text) {
+    if (this.dropOverlay) {
+      this.dropOverlay.textContent = text;
+      this.dropOverlay.classList.remove('hidden');
+    }
+  }
+
+  hideDropOverlay() {
+    if (this.dropOverlay) {
+      this.dropOverlay.classList.add('hidden');
+    }
+  }
+
   setEditionLabelOpacity(opacity) {
     if (this.editionLabel) {
       this.editionLabel.style.opacity = opacity;
@@ -4,6 +4,9 @@
  */
 
 import { sketch } from './sketch.js';
+import { loadScore, scorePathForName } from './utils/score.js';
+import { readWitness } from './utils/witness.js';
+import { CONFIG } from './config.js';
 
 // Wait for DOM to be ready
 if (document.readyState === 'loading') {
@@ -12,10 +15,43 @@ if (document.readyState === 'loading') {
   init();
 }
 
-function init() {
+async function init() {
+  // A witness link (?witness=) shows someone else's relic, score and all
+  const witness = readWitness();
+
+  // Load the ritual score before the sketch starts
+  let score;
+  try {
+    // A witnessed relic plays its own score, not one named by ?score=
+    const scorePath = witness
+      ? (witness.score ? scorePathForName(witness.score) : CONFIG.scorePath)
+      : undefined;
+    score = await loadScore(scorePath);
+  } catch (error) {
+    console.error(error.message);
+    showStartupError('The ritual score could not be loaded. Please try again later.');
+    return;
+  }
+  console.log('Score:', score.name);
+
   // Create p5 instance in instance mode
-  const p5Instance = new p5(sketch, 'canvas-container');
+  const p5Instance = new p5((p) => sketch(p, { score, witness }), 'canvas-container');
 
   // Store reference globally for debugging (optional)
   window.stillbecoming = p5Instance;
 }
+
+/**
+ * Replace the welcome modal with a message when the ritual can't start
+ */
+function showStartupError(text) {
+  const welcomeModal = document.getElementById('welcome-modal');
+  if (welcomeModal) {
+    welcomeModal.style.display = 'none';
+  }
+
+  const message = document.createElement('p');
+  message.id = 'startup-error';
+  message.textContent = text;
+  document.body.appendChild(message);
+}
@@ -0,0 +1,45 @@
+import { DrawList } from './DrawList.js';
+
+// States in which the grid settles behind the geometry
+const RESOLUTION_STATES = ['REASSEMBLE', 'CONSECRATE_2D', 'RELIC'];
+
+/**
+ * Builds the frame's scene from every system. The resulting DrawList is the
+ * single description of what is on screen: the live canvas, PNG, SVG and
+ * plotter exports all replay it.
+ */
+export class Composition {
+  /**
+   * @param {Object} systems - { grid, geometry, particles, weathering }
+   * @param {Object} colors - Palette colours by role (see utils/palette.js)
+   */
+  constructor(systems, colors) {
+    this.systems = systems;
+    this.colors = colors;
+  }
+
+  /**
+   * Describe one frame
+   * @param {Object} params - Ritual parameters (plus time, and loopPhase for loops)
+   * @param {string} stateName - Current ritual state
+   * @returns {DrawList} Layers 'grid', 'geometry', 'particles', 'weathering'
+   */
+  build(params, stateName) {
+    const { grid, geometry, particles, weathering } = this.systems;
+    const scene = new DrawList('scene');
+
+    // Grid goes behind geometry during resolution; in front while building up
+    const layerOrder = RESOLUTION_STATES.includes(stateName)
+      ? [['grid', grid], ['geometry', geometry]]
+      : [['geometry', geometry], ['grid', grid]];
+
+    for (const [name, system] of layerOrder) {
+      system.draw(scene.group(name), params, this.colors);
+    }
+
+    particles.draw(scene.group('particles'), params, this.colors);
+    weathering.draw(scene.group('weathering'), params, this.colors, stateName);
+
+    return scene;
+  }
+}
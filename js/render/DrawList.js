@@ -0,0 +1,81 @@
+/**
+ * Renderer-agnostic record of one frame of the scene.
+ *
+ * Systems draw into a DrawList in composition units: the origin is the
+ * centre and 1 is the width of the composition's square. Renderers replay
+ * the list at any size (see P5Renderer and SVGRenderer); tools/render-parity.mjs
+ * checks through RecordingRenderer that they all draw the same thing.
+ *
+ * The drawing interface matches SVGGroup (utils/svg.js) and PlotterRecorder
+ * (utils/plotter.js). Styles are plain objects:
+ *   { fill, fillOpacity, stroke, strokeOpacity, strokeWidth }
+ * where colours are palette entries ({ r, g, b }), opacities are 0-1 and a
+ * missing fill or stroke means none.
+ *
+ * A layer may set a blend mode for its contents: 'blend' (normal alpha
+ * compositing, the default) or 'multiply' (darkens what is beneath, as ink
+ * and stains do on paper).
+ */
+export class DrawList {
+  /**
+   * @param {string} name - Layer name
+   * @param {Object} [options]
+   * @param {number} [options.z=0] - Depth offset for the layer's contents (WEBGL only)
+   * @param {string} [options.blend] - 'blend' or 'multiply'; inherited when omitted
+   */
+  constructor(name = 'scene', { z = 0, blend = null } = {}) {
+    this.name = name;
+    this.z = z;
+    this.blend = blend;
+    this.commands = [];
+  }
+
+  /**
+   * Add a named sub-layer
+   */
+  group(name, options) {
+    const child = new DrawList(name, options);
+    this.commands.push({ op: 'group', list: child });
+    return child;
+  }
+
+  circle(cx, cy, r, style) {
+    this.commands.push({ op: 'circle', cx, cy, r, style });
+  }
+
+  line(x1, y1, x2, y2, style) {
+    this.commands.push({ op: 'line', x1, y1, x2, y2, style });
+  }
+
+  /**
+   * @param {Array<{x: number, y: number}>} points
+   */
+  polyline(points, style) {
+    if (points.length < 2) return;
+    this.commands.push({ op: 'polyline', points, style });
+  }
+
+  rect(x, y, width, height, style) {
+    this.commands.push({ op: 'rect', x, y, width, height, style });
+  }
+
+  /**
+   * A dot of the stroke colour, strokeWidth across
+   */
+  point(x, y, style) {
+    this.commands.push({ op: 'point', x, y, style });
+  }
+
+  /**
+   * Find a sub-layer by name, searching depth first
+   */
+  find(name) {
+    for (const command of this.commands) {
+      if (command.op !== 'group') continue;
+      if (command.list.name === name) return command.list;
+      const found = command.list.find(name);
+      if (found) return found;
+    }
+    return null;
+  }
+}
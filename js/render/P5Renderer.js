@@ -0,0 +1,80 @@
+/**
+ * Replays a DrawList onto a p5 instance or p5.Graphics (WEBGL or 2D)
+ * @param {Object} target - p5 instance or p5.Graphics
+ * @param {DrawList} list - Scene to draw
+ * @param {number} unit - Pixels per composition unit
+ * @param {string} [blend='blend'] - Blend mode in effect where the list is drawn
+ */
+export function renderDrawList(target, list, unit, blend = 'blend') {
+  target.push();
+
+  if (list.z) {
+    target.translate(0, 0, list.z * unit);
+  }
+
+  const layerBlend = list.blend || blend;
+  if (layerBlend !== blend) {
+    target.blendMode(layerBlend === 'multiply' ? target.MULTIPLY : target.BLEND);
+  }
+
+  for (const command of list.commands) {
+    if (command.op === 'group') {
+      renderDrawList(target, command.list, unit, layerBlend);
+      continue;
+    }
+
+    if (command.op === 'point') {
+      const { stroke, strokeOpacity = 1, strokeWidth } = command.style;
+      target.stroke(stroke.r, stroke.g, stroke.b, strokeOpacity * 255);
+      target.strokeWeight(strokeWidth * unit);
+      target.point(command.x * unit, command.y * unit);
+      continue;
+    }
+
+    applyStyle(target, command.style, unit);
+
+    switch (command.op) {
+      case 'circle':
+        target.circle(command.cx * unit, command.cy * unit, command.r * 2 * unit);
+        break;
+
+      case 'line':
+        target.line(command.x1 * unit, command.y1 * unit, command.x2 * unit, command.y2 * unit);
+        break;
+
+      case 'polyline':
+        target.beginShape();
+        for (const pt of command.points) {
+          target.vertex(pt.x * unit, pt.y * unit);
+        }
+        target.endShape();
+        break;
+
+      case 'rect':
+        target.rect(command.x * unit, command.y * unit, command.width * unit, command.height * unit);
+        break;
+    }
+  }
+
+  // Blend mode isn't part of p5's push/pop state in every renderer
+  if (layerBlend !== blend) {
+    target.blendMode(blend === 'multiply' ? target.MULTIPLY : target.BLEND);
+  }
+
+  target.pop();
+}
+
+function applyStyle(target, style, unit) {
+  if (style.fill) {
+    target.fill(style.fill.r, style.fill.g, style.fill.b, (style.fillOpacity ?? 1) * 255);
+  } else {
+    target.noFill();
+  }
+
+  if (style.stroke) {
+    target.stroke(style.stroke.r, style.stroke.g, style.stroke.b, (style.strokeOpacity ?? 1) * 255);
+    target.strokeWeight((style.strokeWidth ?? 0) * unit);
+  } else {
+    target.noStroke();
+  }
+}
@@ -0,0 +1,289 @@
+import { renderDrawList } from './P5Renderer.js';
+import { renderDrawListToSVG } from './SVGRenderer.js';
+
+/**
+ * Replays a DrawList into a plain-text trace, one primitive per line
+ * under its group, for checking that a seed still draws the same thing
+ * @param {DrawList} list - Scene to trace
+ * @param {Object} [options]
+ * @param {number} [options.precision=4] - Decimal places for numbers
+ * @returns {string}
+ */
+export function recordDrawList(list, { precision = 4 } = {}) {
+  const lines = [];
+  traceList(list, '', lines, precision);
+  return lines.join('\n');
+}
+
+function traceList(list, indent, lines, precision) {
+  const num = (value) => Number(value.toFixed(precision));
+
+  lines.push(`${indent}group ${list.name}${list.z ? ` z=${num(list.z)}` : ''}${list.blend ? ` blend=${list.blend}` : ''}`);
+  indent += '  ';
+
+  for (const command of list.commands) {
+    if (command.op === 'group') {
+      traceList(command.list, indent, lines, precision);
+      continue;
+    }
+
+    let args;
+    switch (command.op) {
+      case 'circle':
+        args = [command.cx, command.cy, command.r];
+        break;
+      case 'line':
+        args = [command.x1, command.y1, command.x2, command.y2];
+        break;
+      case 'polyline':
+        args = command.points.flatMap(pt => [pt.x, pt.y]);
+        break;
+      case 'rect':
+        args = [command.x, command.y, command.width, command.height];
+        break;
+      case 'point':
+        args = [command.x, command.y];
+        break;
+    }
+
+    lines.push(`${indent}${command.op} ${args.map(num).join(' ')} ${traceStyle(command.style, num)}`);
+  }
+}
+
+function traceStyle(style, num) {
+  const parts = [];
+  const color = (c) => `${Math.round(c.r)},${Math.round(c.g)},${Math.round(c.b)}`;
+
+  if (style.fill) parts.push(`fill=${color(style.fill)}@${num(style.fillOpacity ?? 1)}`);
+  if (style.stroke) parts.push(`stroke=${color(style.stroke)}@${num(style.strokeOpacity ?? 1)}/${num(style.strokeWidth ?? 0)}`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Flat trace of what a scene puts on screen: one primitive per line with
+ * the depth and blend mode it is drawn with, ignoring how it is grouped.
+ * Comparable with traceCanvasReplay and traceVectorReplay.
+ * @param {DrawList} list - Scene to trace
+ * @param {Object} [options]
+ * @param {boolean} [options.vector=false] - Trace as vectors see it: no depth, points as dots
+ * @param {number} [options.precision=4] - Decimal places for numbers
+ * @returns {string}
+ */
+export function traceScene(list, { vector = false, precision = 4 } = {}) {
+  const lines = [];
+  const num = (value) => Number(value.toFixed(precision));
+
+  const walk = (layer, z, blend) => {
+    z += layer.z;
+    blend = layer.blend || blend;
+
+    for (const command of layer.commands) {
+      if (command.op === 'group') {
+        walk(command.list, z, blend);
+        continue;
+      }
+
+      let { op, style } = command;
+      let args;
+      switch (op) {
+        case 'circle':
+          args = [command.cx, command.cy, command.r];
+          break;
+        case 'line':
+          args = [command.x1, command.y1, command.x2, command.y2];
+          break;
+        case 'polyline':
+          args = command.points.flatMap(pt => [pt.x, pt.y]);
+          break;
+        case 'rect':
+          args = [command.x, command.y, command.width, command.height];
+          break;
+        case 'point':
+          if (vector) {
+            // A point is a dot of its stroke colour (see SVGRenderer)
+            op = 'circle';
+            args = [command.x, command.y, style.strokeWidth / 2];
+            style = { fill: style.stroke, fillOpacity: style.strokeOpacity };
+          } else {
+            args = [command.x, command.y];
+            style = { stroke: style.stroke, strokeOpacity: style.strokeOpacity, strokeWidth: style.strokeWidth };
+          }
+          break;
+      }
+
+      lines.push(flatLine(op, args, style, vector ? null : z, blend, num));
+    }
+  };
+
+  walk(list, 0, 'blend');
+  return lines.join('\n');
+}
+
+/**
+ * Draw a scene through P5Renderer, as the canvas and the PNG and video
+ * exports do, and trace the p5 calls it makes back in composition units
+ * @param {DrawList} list - Scene to draw
+ * @param {number} unit - Pixels per composition unit to draw at
+ * @param {Object} [options]
+ * @param {number} [options.precision=4] - Decimal places for numbers
+ * @returns {string} Comparable with traceScene(list)
+ */
+export function traceCanvasReplay(list, unit, { precision = 4 } = {}) {
+  const target = new CanvasRecorder(unit, precision);
+  renderDrawList(target, list, unit);
+  return target.lines.join('\n');
+}
+
+/**
+ * Draw a scene through SVGRenderer, as the SVG, PDF and plotter exports
+ * do, and trace the vector calls it makes back in composition units
+ * @param {DrawList} list - Scene to draw
+ * @param {number} unit - User units per composition unit to draw at
+ * @param {Object} [options]
+ * @param {number} [options.precision=4] - Decimal places for numbers
+ * @returns {string} Comparable with traceScene(list, { vector: true })
+ */
+export function traceVectorReplay(list, unit, { precision = 4 } = {}) {
+  const lines = [];
+  renderDrawListToSVG(new VectorRecorder(unit, precision, lines, 'blend'), list, unit);
+  return lines.join('\n');
+}
+
+function flatLine(op, args, style, z, blend, num) {
+  const depth = z === null ? '' : ` z=${num(z)}`;
+  return `${op} ${args.map(num).join(' ')} ${traceStyle(style, num)}${depth} blend=${blend}`;
+}
+
+/**
+ * Stands in for a p5 target, keeping the style and transform state p5
+ * would and writing each shape as a traceScene line
+ */
+class CanvasRecorder {
+  constructor(unit, precision) {
+    this.unit = unit;
+    this.num = (value) => Number(value.toFixed(precision));
+    this.lines = [];
+    this.MULTIPLY = 'multiply';
+    this.BLEND = 'blend';
+
+    // Blend mode is deliberately not saved by push(), as in some p5 renderers
+    this.blend = 'blend';
+    this.state = { z: 0, style: {} };
+    this.stack = [];
+    this.shape = null;
+  }
+
+  push() {
+    this.stack.push({ z: this.state.z, style: { ...this.state.style } });
+  }
+
+  pop() {
+    this.state = this.stack.pop();
+  }
+
+  translate(x, y, z = 0) {
+    if (x !== 0 || y !== 0) throw new Error('Scenes are only offset in depth');
+    this.state.z += z / this.unit;
+  }
+
+  blendMode(mode) {
+    this.blend = mode;
+  }
+
+  fill(r, g, b, alpha) {
+    Object.assign(this.state.style, { fill: { r, g, b }, fillOpacity: alpha / 255 });
+  }
+
+  noFill() {
+    delete this.state.style.fill;
+    delete this.state.style.fillOpacity;
+  }
+
+  stroke(r, g, b, alpha) {
+    Object.assign(this.state.style, { stroke: { r, g, b }, strokeOpacity: alpha / 255 });
+  }
+
+  strokeWeight(weight) {
+    this.state.style.strokeWidth = weight / this.unit;
+  }
+
+  noStroke() {
+    delete this.state.style.stroke;
+    delete this.state.style.strokeOpacity;
+    delete this.state.style.strokeWidth;
+  }
+
+  circle(x, y, diameter) {
+    this._shape('circle', [x, y, diameter / 2]);
+  }
+
+  line(x1, y1, x2, y2) {
+    this._shape('line', [x1, y1, x2, y2]);
+  }
+
+  rect(x, y, width, height) {
+    this._shape('rect', [x, y, width, height]);
+  }
+
+  point(x, y) {
+    const { stroke, strokeOpacity, strokeWidth } = this.state.style;
+    this.lines.push(flatLine('point', [x / this.unit, y / this.unit], { stroke, strokeOpacity, strokeWidth }, this.state.z, this.blend, this.num));
+  }
+
+  beginShape() {
+    this.shape = [];
+  }
+
+  vertex(x, y) {
+    this.shape.push(x, y);
+  }
+
+  endShape() {
+    this._shape('polyline', this.shape);
+    this.shape = null;
+  }
+
+  _shape(op, args) {
+    const style = { ...this.state.style };
+    this.lines.push(flatLine(op, args.map(value => value / this.unit), style, this.state.z, this.blend, this.num));
+  }
+}
+
+/**
+ * Stands in for an SVGGroup, writing each shape as a traceScene line
+ */
+class VectorRecorder {
+  constructor(unit, precision, lines, blend) {
+    this.unit = unit;
+    this.precision = precision;
+    this.num = (value) => Number(value.toFixed(precision));
+    this.lines = lines;
+    this.blend = blend;
+  }
+
+  group(name, { blend } = {}) {
+    return new VectorRecorder(this.unit, this.precision, this.lines, blend || this.blend);
+  }
+
+  circle(cx, cy, r, style) {
+    this._shape('circle', [cx, cy, r], style);
+  }
+
+  line(x1, y1, x2, y2, style) {
+    this._shape('line', [x1, y1, x2, y2], style);
+  }
+
+  polyline(points, style) {
+    this._shape('polyline', points.flatMap(pt => [pt.x, pt.y]), style);
+  }
+
+  rect(x, y, width, height, style) {
+    this._shape('rect', [x, y, width, height], style);
+  }
+
+  _shape(op, args, style) {
+    const scaled = style.strokeWidth === undefined ? style : { ...style, strokeWidth: style.strokeWidth / this.unit };
+    this.lines.push(flatLine(op, args.map(value => value / this.unit), scaled, null, this.blend, this.num));
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Replays a DrawList into an SVGGroup (utils/svg.js) or anything with the
+ * same interface, such as PlotterRecorder (utils/plotter.js). Sub-layers
+ * become named groups, keeping their blend mode; depth offsets are
+ * dropped, as vectors are flat.
+ * @param {Object} target - SVGGroup or PlotterRecorder
+ * @param {DrawList} list - Scene to draw
+ * @param {number} unit - User units per composition unit
+ * @param {Object} [options]
+ * @param {Array<string>} [options.layers] - Only replay these top-level layers
+ */
+export function renderDrawListToSVG(target, list, unit, { layers } = {}) {
+  for (const command of list.commands) {
+    if (command.op === 'group') {
+      if (layers && !layers.includes(command.list.name)) continue;
+      const { name, blend } = command.list;
+      renderDrawListToSVG(target.group(name, { blend }), command.list, unit);
+      continue;
+    }
+
+    const style = scaleStyle(command.style, unit);
+
+    switch (command.op) {
+      case 'circle':
+        target.circle(command.cx * unit, command.cy * unit, command.r * unit, style);
+        break;
+
+      case 'line':
+        target.line(command.x1 * unit, command.y1 * unit, command.x2 * unit, command.y2 * unit, style);
+        break;
+
+      case 'polyline':
+        target.polyline(command.points.map(pt => ({ x: pt.x * unit, y: pt.y * unit })), style);
+        break;
+
+      case 'rect':
+        target.rect(command.x * unit, command.y * unit, command.width * unit, command.height * unit, style);
+        break;
+
+      case 'point':
+        // A point is a dot of its stroke colour
+        target.circle(command.x * unit, command.y * unit, style.strokeWidth / 2, {
+          fill: style.stroke,
+          fillOpacity: style.strokeOpacity
+        });
+        break;
+    }
+  }
+}
+
+function scaleStyle(style, unit) {
+  if (style.strokeWidth === undefined) return style;
+  return { ...style, strokeWidth: style.strokeWidth * unit };
+}
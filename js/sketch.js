@@ -9,23 +9,37 @@ import { RitualController } from './controllers/RitualController.js';
 import { UIManager } from './controllers/UIManager.js';
 import { ExportManager } from './controllers/ExportManager.js';
 import { AudioManager } from './controllers/AudioManager.js';
+import { RelicImporter } from './controllers/RelicImporter.js';
+import { Ledger } from './controllers/Ledger.js';
+import { CuratorView } from './controllers/CuratorView.js';
+import { RelicArchive } from './controllers/RelicArchive.js';
+import { GalleryView } from './controllers/GalleryView.js';
 import { GeometrySystem } from './systems/GeometrySystem.js';
 import { GridSystem } from './systems/GridSystem.js';
 import { ParticleSystem } from './systems/ParticleSystem.js';
 import { WeatheringPass } from './systems/WeatheringPass.js';
 import { CameraRig } from './systems/CameraRig.js';
-import { formatTimestamp } from './utils/time.js';
-
-// Color palette
-const COLORS = {
-  carbon: { r: 28, g: 28, b: 31 },
-  ghost: { r: 249, g: 249, b: 254 },
-  twilight: { r: 23, g: 22, b: 100 },
-  periwinkle: { r: 147, g: 129, b: 255 },
-  golden: { r: 224, g: 202, b: 60 }
-};
-
-export function sketch(p) {
+import { Composition } from './render/Composition.js';
+import { renderDrawList } from './render/P5Renderer.js';
+import { renderDrawListToSVG } from './render/SVGRenderer.js';
+import { formatTimestamp, formatISOTimestamp, localOffset } from './utils/time.js';
+import { PRINT_PRESETS, resolvePrintSettings, layoutForPreset } from './utils/print.js';
+import { SVGDocument } from './utils/svg.js';
+import { createLedgerEntry } from './utils/ledger.js';
+import { buildCertificate, certificateFingerprint } from './utils/certificate.js';
+import { resolvePalette, resolveDisplayMode, storeDisplayMode, colorsForMode } from './utils/palette.js';
+import { witnessURL } from './utils/witness.js';
+import { scoreNameForPath } from './utils/score.js';
+import { CONFIG } from './config.js';
+
+/**
+ * @param {Object} p - p5 instance
+ * @param {Object} options
+ * @param {Object} options.score - Normalized ritual score (see utils/score.js)
+ * @param {Object} [options.witness] - Someone else's relic to show, read-only
+ *   (see utils/witness.js); nothing of the visitor's own is read or stored
+ */
+export function sketch(p, { score, witness = null }) {
   // Managers and systems
   let seedManager;
   let editionManager;
@@ -33,12 +47,32 @@ export function sketch(p) {
   let uiManager;
   let exportManager;
   let audioManager;
+  let relicImporter;
+
+  // Curator ledger of issued editions, only with ?curator
+  let ledger = null;
+  let curatorView = null;
+
+  // Every relic completed in this browser, and the gallery listing them
+  let relicArchive;
+  let galleryView;
+  let archivedId = null; // Archive id of the relic on screen, once stored or reopened
 
   let geometrySystem;
   let gridSystem;
   let particleSystem;
   let weatheringPass;
   let cameraRig;
+  let composition;
+
+  // Edition palette (utils/palette.js) and its colours by role for the
+  // display mode ('dark' or 'paper', chosen per session)
+  let palette;
+  let displayMode;
+  let colors;
+
+  // The last frame's scene, replayed by the still exports
+  let currentScene = null;
 
   // Canvas and sizing
   let unit; // Base unit for all scaling
@@ -50,9 +84,13 @@ export function sketch(p) {
 
   // Ritual state
   let ritualTimestamp = null;
+  let ritualOffset = null; // UTC offset (minutes east) the timestamp is shown in
   let timestampFormatted = null;
   let ritualStarted = false; // Pause ritual until user clicks "Begin"
 
+  // Relic print preset (?print=<preset>&bleed=<mm>, or the relic UI)
+  let printSettings = resolvePrintSettings();
+
   /**
    * Setup
    */
@@ -62,19 +100,27 @@ export function sketch(p) {
     unit = canvasSize;
 
     // Create WEBGL canvas
-    p.createCanvas(canvasSize, canvasSize, p.WEBGL);
+    const canvas = p.createCanvas(canvasSize, canvasSize, p.WEBGL);
 
     // Set pixel density based on device (cap at 2 for performance on mobile)
     const isMobile = window.innerWidth < 900 || /Android|webOS|iPhone|iPad|iPod/i.test(navigator.userAgent);
     p.pixelDensity(Math.min(window.devicePixelRatio || 1, isMobile ? 2 : 2));
 
     // Initialize managers
-    seedManager = new SeedManager();
-    editionManager = new EditionManager(seedManager.masterSeed);
-    ritualController = new RitualController();
+    // A witnessed relic brings its own seed, palette, ground and edition
+    const search = witness
+      ? new URLSearchParams({ palette: witness.palette, mode: witness.mode }).toString()
+      : window.location.search;
+    seedManager = new SeedManager(witness ? witness.seed : null);
+    palette = resolvePalette(seedManager, CONFIG.palette.minContrast, search);
+    displayMode = resolveDisplayMode(search);
+    colors = colorsForMode(palette.colors, displayMode, CONFIG.palette.minContrast);
+    editionManager = new EditionManager(seedManager.masterSeed, witness);
+    ritualController = new RitualController(score, seedManager);
     uiManager = new UIManager();
     exportManager = new ExportManager(p);
     audioManager = new AudioManager('audio/remembering me.m4a');
+    relicImporter = new RelicImporter(uiManager);
 
     // Check if mobile modal should be shown
     const shouldShowMobileWarning = uiManager.shouldShowMobileModal();
@@ -83,17 +129,66 @@ export function sketch(p) {
     geometrySystem = new GeometrySystem(p, seedManager);
     gridSystem = new GridSystem(p, seedManager);
     particleSystem = new ParticleSystem(p, seedManager);
-    weatheringPass = new WeatheringPass(p, seedManager);
+    weatheringPass = new WeatheringPass(p, seedManager, { mode: displayMode });
     cameraRig = new CameraRig(p);
-
-    // Set up ritual state change listener
-    ritualController.onStateChange((stateName) => {
-      handleStateChange(stateName);
+    composition = new Composition({
+      grid: gridSystem,
+      geometry: geometrySystem,
+      particles: particleSystem,
+      weathering: weatheringPass
+    }, colors);
+
+    // Expose the timeline for review sessions,
+    // e.g. stillbecoming.ritualController.seek(24)
+    p.ritualController = ritualController;
+
+    // Taps on the canvas are ritual input (scores can branch or hold on them);
+    // a witnessed ritual replays its maker's taps instead
+    canvas.mousePressed(() => {
+      if (ritualStarted && !witness) {
+        ritualController.signal('tap');
+      }
     });
 
+    // Subscribe to ritual timeline events
+    ritualController.on('enter', ({ state }) => console.log('State:', state));
+    ritualController.on('cue', ({ label }) => console.log('Cue:', label));
+    ritualController.on('cue:consecrated', () => stampTimestamp(new Date()));
+    ritualController.on('complete', handleComplete);
+    uiManager.attachToRitual(ritualController);
+
+    // Dropping an exported relic onto the page reopens its seed
+    relicImporter.attach();
+
+    // Past relics can be reopened from the gallery (?archive=<id>)
+    relicArchive = new RelicArchive();
+    galleryView = new GalleryView(relicArchive, reopenRelic);
+    galleryView.attach();
+
+    const archiveId = new URLSearchParams(window.location.search).get('archive');
+    if (archiveId && !witness) {
+      restoreFromArchive(archiveId);
+    }
+
+    // Curators keep a ledger of every ritual completed on this machine
+    if (new URLSearchParams(window.location.search).has('curator')) {
+      ledger = new Ledger();
+      curatorView = new CuratorView(ledger, editionManager.cap);
+      curatorView.attach();
+    }
+
     // Show edition label at start
     uiManager.showEditionLabel(editionManager.getEditionLabel());
 
+    // A registry, if there is one, replaces the hashed edition
+    // (a reopened relic keeps the edition it was issued)
+    if (CONFIG.registry.url && !archiveId && !witness) {
+      editionManager.syncWithRegistry(CONFIG.registry.url, { timeout: CONFIG.registry.timeout }).then((source) => {
+        console.log('Edition:', editionManager.getEditionLabel(), `(${source})`);
+        uiManager.showEditionLabel(editionManager.getEditionLabel());
+      });
+    }
+
     // Show progress bar at start
     uiManager.showProgressBar();
 
@@ -107,6 +202,10 @@ export function sketch(p) {
       uiManager.setMuteButtonState(isMuted);
     });
 
+    // Drafting paper can be chosen before the ritual begins
+    // (a witnessed relic keeps the ground it was made on)
+    uiManager.setupDisplayModeToggle(displayMode, witness ? null : setDisplayMode);
+
     // Initialize time tracking
     lastFrameTime = p.millis();
 
@@ -155,11 +254,29 @@ export function sketch(p) {
       beginBtn.addEventListener('click', startRitual);
     }
 
+    if (witness) {
+      witnessRelic();
+    }
+
     console.log('stillbecoming initialized');
     console.log('Edition:', editionManager.getEditionNumber());
     console.log('Seed:', seedManager.seedString);
+    console.log('Palette:', palette.name, `(${displayMode})`);
   };
 
+  /**
+   * Switch between the dark ground and drafting paper
+   */
+  function setDisplayMode(mode) {
+    displayMode = mode;
+    storeDisplayMode(mode);
+
+    colors = colorsForMode(palette.colors, mode, CONFIG.palette.minContrast);
+    composition.colors = colors;
+    weatheringPass.mode = mode;
+    uiManager.setDisplayMode(mode);
+  }
+
   /**
    * Draw loop
    */
@@ -167,7 +284,7 @@ export function sketch(p) {
     // Don't update ritual until user has clicked "Begin"
     if (!ritualStarted) {
       // Just render static background while waiting
-      p.background(COLORS.carbon.r, COLORS.carbon.g, COLORS.carbon.b);
+      p.background(colors.background.r, colors.background.g, colors.background.b);
       return;
     }
 
@@ -181,16 +298,8 @@ export function sketch(p) {
 
     // Get current parameters
     const params = {
-      cameraTiltX: ritualController.getParam('cameraTiltX'),
-      cameraTiltY: ritualController.getParam('cameraTiltY'),
-      cameraZoom: ritualController.getParam('cameraZoom'),
-      zLiftStrength: ritualController.getParam('zLiftStrength'),
-      noiseAmp: ritualController.getParam('noiseAmp'),
-      glitchRate: ritualController.getParam('glitchRate'),
-      geometryCompletion: ritualController.getParam('geometryCompletion'),
-      gridVisibility: ritualController.getParam('gridVisibility'),
-      particleEnergy: ritualController.getParam('particleEnergy'),
-      weatheringAmount: ritualController.getParam('weatheringAmount')
+      time: ritualController.getGlobalTime(),
+      ...ritualController.getParams()
     };
 
     // Update particle system
@@ -199,20 +308,18 @@ export function sketch(p) {
     // Update camera rig
     cameraRig.update(params.cameraTiltX, params.cameraTiltY, params.cameraZoom);
 
-    // Update progress bar
-    const progress = ritualController.getGlobalProgress();
-    uiManager.updateProgressBar(progress);
-
     // Render scene
-    renderScene(params);
+    renderScene(params, ritualController.getStateName());
   };
 
   /**
-   * Main render function
+   * Main render function: describe the frame once, then draw it
    */
-  function renderScene(params) {
+  function renderScene(params, currentState) {
+    currentScene = composition.build(params, currentState);
+
     // Set background
-    p.background(COLORS.carbon.r, COLORS.carbon.g, COLORS.carbon.b);
+    p.background(colors.background.r, colors.background.g, colors.background.b);
 
     // Reset transforms
     p.push();
@@ -220,68 +327,274 @@ export function sketch(p) {
     // Apply camera transforms
     cameraRig.apply();
 
-    // Get current ritual state
-    const currentState = ritualController.getStateName();
-
-    // Render layers in order - grid goes behind geometry during resolution
-    const resolutionStates = ['REASSEMBLE', 'CONSECRATE_2D', 'RELIC'];
-
-    if (resolutionStates.includes(currentState)) {
-      // During resolution: grid behind, then geometry on top
-      gridSystem.render(params, unit, COLORS);
-      geometrySystem.render(params, unit, COLORS);
-      particleSystem.render(params, unit, COLORS);
-    } else {
-      // During build-up: normal layering
-      geometrySystem.render(params, unit, COLORS);
-      gridSystem.render(params, unit, COLORS);
-      particleSystem.render(params, unit, COLORS);
+    renderDrawList(p, currentScene, unit);
+
+    p.pop();
+  }
+
+  /**
+   * Record the ritual timestamp (once) and show it
+   */
+  function stampTimestamp(date) {
+    if (ritualTimestamp) return;
+
+    // A witnessed relic keeps its maker's time, as their clock read it
+    ritualTimestamp = witness ? witness.completed : date;
+    ritualOffset = witness ? witness.offset : localOffset(date);
+    timestampFormatted = formatTimestamp(ritualTimestamp, ritualOffset);
+    uiManager.showTimestamp(timestampFormatted);
+  }
+
+  /**
+   * Handle ritual completion (RELIC state)
+   */
+  function handleComplete() {
+    // Ensure timestamp is set
+    stampTimestamp(ritualController.getCompletionTimestamp() || new Date());
+
+    // Show download button
+    uiManager.showDownloadButton(() => {
+      handleExport();
+    });
+
+    // Print preset for the relic PNG
+    uiManager.showPrintOptions(PRINT_PRESETS, printSettings, CONFIG.print.bleed, (settings) => {
+      printSettings = settings;
+    });
+
+    // Show secondary export formats
+    uiManager.showExportMenu({
+      share: handleShare,
+      certificate: handleCertificateExport,
+      svg: handleSVGExport,
+      plotter: handlePlotterExport,
+      ritual: handleRitualExport,
+      apng: () => handleLoopExport('apng'),
+      gif: () => handleLoopExport('gif')
+    });
+
+    // Past relics, including this one
+    uiManager.showGalleryButton(() => galleryView.open());
+
+    // Only a ritual just performed is new: a relic reopened from the
+    // archive is already kept, and a witnessed one isn't the visitor's
+    const isNewRitual = !archivedId && !witness;
+
+    // Keep the relic, and retake its thumbnail once it has settled
+    if (isNewRitual) {
+      archiveRelic();
+      setTimeout(refreshArchivedThumbnail, CONFIG.video.relicHold * 1000);
     }
 
-    weatheringPass.render(params, unit, COLORS, currentState);
+    if (curatorView && isNewRitual) {
+      recordInLedger();
+    }
 
-    p.pop();
+    console.log('Ritual complete. Download available.');
   }
 
   /**
-   * Handle state changes
+   * Store the completed ritual in the relic archive
    */
-  function handleStateChange(stateName) {
-    console.log('State:', stateName);
+  async function archiveRelic() {
+    try {
+      const record = await relicArchive.add(getProvenance(), {
+        editionNumber: editionManager.getEditionNumber(),
+        events: ritualController.events,
+        thumbnail: archiveThumbnail()
+      });
+      archivedId = record.id;
+      galleryView.currentId = record.id;
+    } catch (error) {
+      console.error('Could not store the relic in the archive:', error);
+    }
+  }
 
-    // Handle TITLE state
-    if (stateName === 'TITLE') {
-      uiManager.setEditionLabelOpacity(0.65);
+  /**
+   * Retake the archived relic's thumbnail, unless it has been deleted
+   * from the gallery since
+   */
+  async function refreshArchivedThumbnail() {
+    if (!archivedId) return;
+
+    try {
+      await relicArchive.updateThumbnail(archivedId, archiveThumbnail());
+    } catch (error) {
+      console.error('Could not update the relic in the archive:', error);
     }
+  }
 
-    // Handle CONSECRATE_2D state (show timestamp)
-    if (stateName === 'CONSECRATE_2D') {
-      if (!ritualTimestamp) {
-        ritualTimestamp = new Date();
-        timestampFormatted = formatTimestamp(ritualTimestamp);
-        uiManager.showTimestamp(timestampFormatted);
-      }
+  /**
+   * Gallery thumbnail of the relic on screen
+   */
+  function archiveThumbnail() {
+    return thumbnailCanvas(240).toDataURL('image/jpeg', 0.85);
+  }
+
+  /**
+   * Reload the page on an archived relic's seed, palette and mode
+   */
+  function reopenRelic(record) {
+    window.location.assign(relicImporter.getArchiveURL(record));
+  }
+
+  /**
+   * Rebuild an archived relic, under its original edition and time
+   */
+  async function restoreFromArchive(id) {
+    let record;
+    try {
+      record = await relicArchive.get(id);
+    } catch (error) {
+      console.error('Could not read the relic archive:', error);
     }
 
-    // Handle RELIC state
-    if (stateName === 'RELIC') {
-      // Hide progress bar when ritual is complete
-      uiManager.hideProgressBar();
+    if (!record || record.seed !== seedManager.sessionSeed) {
+      console.warn(`Relic ${id} is not in this browser's archive; performing the ritual from its seed instead.`);
+      return;
+    }
 
-      // Ensure timestamp is set
-      if (!ritualTimestamp) {
-        ritualTimestamp = ritualController.getCompletionTimestamp() || new Date();
-        timestampFormatted = formatTimestamp(ritualTimestamp);
-        uiManager.showTimestamp(timestampFormatted);
-      }
+    if (record.algorithm !== CONFIG.algorithmVersion) {
+      console.warn(`Relic was made with algorithm ${record.algorithm}; this is ${CONFIG.algorithmVersion}, so the re-render may differ.`);
+    }
+
+    archivedId = record.id;
+    galleryView.currentId = record.id;
+
+    editionManager.restoreEdition(record.editionNumber, record.edition);
+    uiManager.showEditionLabel(record.edition);
+    stampTimestamp(new Date(record.completed));
 
-      // Show download button
-      uiManager.showDownloadButton(() => {
-        handleExport();
+    uiManager.hideWelcomeModal();
+    uiManager.hideMobileModal();
+    fastForwardToRelic(record.events || []);
+    console.log(`Reopened ${record.edition} from the archive.`);
+  }
+
+  /**
+   * Show a witnessed relic (utils/witness.js): straight away, or with
+   * ?replay its whole ritual from Begin, with its maker's taps
+   */
+  function witnessRelic() {
+    const ownURL = new URL(window.location.href);
+    ownURL.search = '';
+    uiManager.showWitnessNote(ownURL.toString());
+
+    if (new URLSearchParams(window.location.search).has('replay')) {
+      ritualController.restoreEvents(witness.events);
+      console.log(`Witnessing ${editionManager.getEditionLabel()}: replaying its ritual.`);
+      return;
+    }
+
+    stampTimestamp(witness.completed);
+    uiManager.hideWelcomeModal();
+    uiManager.hideMobileModal();
+    fastForwardToRelic(witness.events);
+    console.log(`Witnessing ${editionManager.getEditionLabel()}.`);
+  }
+
+  /**
+   * Replay a performed ritual offline, with its signalled events, at the
+   * video export's fixed frame rate, straight to the settled relic
+   */
+  function fastForwardToRelic(events) {
+    ritualController.restoreEvents(events);
+    particleSystem.reset();
+    weatheringPass.reset();
+
+    const fps = CONFIG.video.fps;
+    const frameCount = Math.ceil((ritualController.getDuration() + CONFIG.video.relicHold) * fps);
+
+    for (let i = 0; i < frameCount; i++) {
+      ritualController.update(1 / fps);
+
+      const params = {
+        time: ritualController.getGlobalTime(),
+        ...ritualController.getParams()
+      };
+      particleSystem.update(params, 1 / fps);
+      cameraRig.update(params.cameraTiltX, params.cameraTiltY, params.cameraZoom);
+    }
+
+    ritualStarted = true;
+    lastFrameTime = p.millis();
+  }
+
+  /**
+   * Copy a witness link to this relic: it opens straight to it, for anyone
+   */
+  async function handleShare() {
+    let url;
+    try {
+      url = witnessURL({
+        seed: seedManager.sessionSeed,
+        editionNumber: editionManager.getEditionNumber(),
+        cap: editionManager.cap,
+        completed: ritualTimestamp,
+        offset: ritualOffset,
+        palette: palette.name,
+        mode: displayMode,
+        score: scoreNameForPath(score.source),
+        events: ritualController.events
       });
+    } catch (error) {
+      console.error('Could not build a witness link:', error);
+      uiManager.flashExportLabel('share', 'Unavailable');
+      return;
+    }
 
-      console.log('Ritual complete. Download available.');
+    try {
+      await navigator.clipboard.writeText(url);
+      uiManager.flashExportLabel('share', 'Link copied');
+    } catch (error) {
+      // No clipboard (plain http, or permission refused): show it to copy by hand
+      window.prompt('Witness link to this relic:', url);
     }
+    console.log('Witness link:', url);
+  }
+
+  /**
+   * Add the completed ritual to the curator ledger
+   */
+  function recordInLedger() {
+    curatorView.cap = editionManager.cap;
+    curatorView.record(createLedgerEntry({
+      edition: editionManager.getEditionNumber(),
+      visitor: editionManager.visitorToken,
+      seed: seedManager.sessionSeed,
+      completed: formatISOTimestamp(ritualTimestamp, ritualOffset),
+      palette: palette.name,
+      station: ledger.getStationId(),
+      thumbnail: thumbnailCanvas(96).toDataURL('image/jpeg', 0.8)
+    }));
+  }
+
+  /**
+   * The canvas as it stands, scaled to a size x size canvas
+   */
+  function thumbnailCanvas(size) {
+    const thumb = document.createElement('canvas');
+    thumb.width = size;
+    thumb.height = size;
+    thumb.getContext('2d').drawImage(p.canvas, 0, 0, size, size);
+    return thumb;
+  }
+
+  /**
+   * Provenance record embedded in exported relics (see utils/provenance.js)
+   */
+  function getProvenance() {
+    const completed = ritualTimestamp || ritualController.getCompletionTimestamp() || new Date();
+
+    return {
+      seed: seedManager.sessionSeed,
+      seedString: seedManager.seedString,
+      edition: editionManager.getEditionLabel(),
+      completed: formatISOTimestamp(completed, ritualOffset ?? localOffset(completed)),
+      algorithm: CONFIG.algorithmVersion,
+      score: score.source,
+      palette: { name: palette.name, mode: displayMode, ...colors }
+    };
   }
 
   /**
@@ -290,88 +603,303 @@ export function sketch(p) {
   function handleExport() {
     console.log('Exporting relic...');
 
-    // Get final parameters (frozen in RELIC state)
-    const params = {
-      cameraTiltX: 0,
-      cameraTiltY: 0,
-      cameraZoom: 1,
-      zLiftStrength: 0,
-      noiseAmp: ritualController.getParam('noiseAmp'),
-      glitchRate: 0,
-      geometryCompletion: 1.0,
-      gridVisibility: 1.0,
-      particleEnergy: 0,
-      weatheringAmount: ritualController.getParam('weatheringAmount')
-    };
+    // The frame on screen right now, so the download is what was witnessed
+    const scene = currentScene;
+    const layout = layoutForPreset(printSettings.preset, { bleed: printSettings.bleed });
 
     // Render callback for export
     const renderCallback = (p5Instance, pg, scale) => {
-      const exportUnit = pg.width;
+      // The composition's frame (the buffer is larger when the art runs into the bleed)
+      const exportUnit = layout.art.unit;
 
       // Background
-      pg.background(COLORS.carbon.r, COLORS.carbon.g, COLORS.carbon.b);
+      pg.background(colors.background.r, colors.background.g, colors.background.b);
 
-      // Apply camera (flat 2D for relic)
       pg.push();
-
-      // Render all systems to graphics buffer
-      // Grid behind geometry (matching RELIC state rendering order)
-      gridSystem.renderToGraphics(pg, params, exportUnit, COLORS);
-      geometrySystem.renderToGraphics(pg, params, exportUnit, COLORS);
-      particleSystem.renderToGraphics(pg, params, exportUnit, COLORS);
-      weatheringPass.renderToGraphics(pg, params, exportUnit, COLORS);
-
+      cameraRig.applyToGraphics(pg);
+      renderDrawList(pg, scene, exportUnit);
       pg.pop();
+    };
 
-      // Render text overlays
-      renderExportText(pg, exportUnit);
+    // Lay the composition out on the page, with text in its margins
+    const renderPage = (page, layout, drawArt) => {
+      page.background(colors.background.r, colors.background.g, colors.background.b);
+      drawArt();
+      renderExportText(page, layout.text);
     };
 
-    // Export with edition and timestamp
-    exportManager.exportRelic(
+    // Export with edition, timestamp and provenance, as a background job
+    const job = exportManager.exportRelic(
       renderCallback,
       editionManager.getEditionForFilename(),
-      timestampFormatted
+      timestampFormatted,
+      {
+        layout,
+        renderPage,
+        provenance: getProvenance(),
+        signer: curatorView ? curatorView.signer : null
+      }
     );
 
-    console.log('Export complete.');
+    if (job) {
+      uiManager.showDownloadJob(job);
+      job.on('state', ({ state }) => {
+        if (state === 'done') console.log('Export complete.');
+      });
+    }
   }
 
   /**
-   * Render text overlays for export
+   * Run one of the export menu's formats and show on its button whether
+   * the file was saved or the export failed
+   * @param {string} key - The button's data-export key
+   * @param {string} name - What is being exported, for logs
+   * @param {Function} run - async () => true once saved, false if another export was running
    */
-  function renderExportText(pg, unit) {
-    pg.push();
+  async function runMenuExport(key, name, run) {
+    console.log(`Exporting ${name}...`);
+
+    try {
+      if (await run()) {
+        console.log(`${name} export complete.`);
+        uiManager.flashExportLabel(key, 'Saved');
+      }
+    } catch (error) {
+      console.error(`${name} export failed:`, error);
+      uiManager.flashExportLabel(key, 'Export failed');
+    }
+  }
+
+  /**
+   * Export the relic's scene as layered SVG
+   */
+  function handleSVGExport() {
+    const scene = currentScene;
+    const size = 1000; // User units; the SVG scales freely
+
+    return runMenuExport('svg', 'SVG', () => exportManager.exportSVG(() => {
+      const svg = new SVGDocument(size, {
+        title: `stillbecoming ${editionManager.getEditionLabel()}`,
+        pixelSize: exportManager.exportSize
+      });
+
+      svg.group('background').rect(-size / 2, -size / 2, size, size, { fill: colors.background });
+
+      // Grid, geometry, particles and weathering, in the order they were drawn
+      renderDrawListToSVG(svg, scene, size);
 
-    // Reset any transforms
-    pg.translate(-unit / 2, -unit / 2);
+      renderExportTextSVG(svg.group('text'), size);
+
+      return svg;
+    }, editionManager.getEditionForFilename()));
+  }
+
+  /**
+   * Export a certificate of authenticity (PDF) for the relic
+   */
+  function handleCertificateExport() {
+    const provenance = getProvenance();
+    const thumbnailSize = 750; // About 3 inches at 250 dpi on the certificate
+
+    return runMenuExport('certificate', 'Certificate', () => exportManager.exportCertificate(async () => {
+      const jpeg = await new Promise((resolve, reject) => {
+        thumbnailCanvas(thumbnailSize).toBlob(
+          blob => (blob ? resolve(blob) : reject(new Error('Could not capture the relic'))),
+          'image/jpeg',
+          0.92
+        );
+      });
+
+      return buildCertificate({
+        edition: provenance.edition,
+        seed: provenance.seed,
+        completed: provenance.completed,
+        algorithm: provenance.algorithm,
+        palette: palette.label,
+        dedication: uiManager.getDedication(),
+        fingerprint: await certificateFingerprint(provenance.seedString, provenance.edition),
+        thumbnail: { bytes: new Uint8Array(await jpeg.arrayBuffer()), width: thumbnailSize, height: thumbnailSize }
+      });
+    }, editionManager.getEditionForFilename()));
+  }
+
+  /**
+   * Export the relic's linework as per-colour HPGL and G-code
+   */
+  function handlePlotterExport() {
+    const scene = currentScene;
+    const size = 1000;
+
+    return runMenuExport('plotter', 'Plotter', () => exportManager.exportPlotter({
+      size,
+      editionNumber: editionManager.getEditionForFilename(),
+      settings: CONFIG.plotter,
+      pens: {
+        ink: colors.ink,
+        shade: colors.shade,
+        accent: colors.accent,
+        highlight: colors.highlight
+      },
+      // Only the linework; particles and weathering don't plot
+      draw: (recorder) => renderDrawListToSVG(recorder, scene, size, { layers: ['grid', 'geometry'] })
+    }));
+  }
+
+  /**
+   * Export the whole ritual as a video. Replays the performance offline at a
+   * fixed frame rate through the same renderScene() as the live canvas.
+   */
+  function handleRitualExport() {
+    if (exportManager.isCurrentlyExporting()) return;
+
+    const { fps, maxSize, relicHold } = CONFIG.video;
+    const replay = ritualController.createReplay();
+    const frameCount = Math.ceil((replay.getDuration() + relicHold) * fps);
+
+    return runMenuExport('ritual', 'Ritual video', async () => {
+      // Take over the canvas: stop the live loop and rewind stateful systems
+      p.noLoop();
+      particleSystem.reset();
+      weatheringPass.reset();
+
+      try {
+        return await exportManager.exportRitual({
+          frameCount,
+          fps,
+          size: Math.min(maxSize, p.width * p.pixelDensity()),
+          editionNumber: editionManager.getEditionForFilename(),
+          renderFrame: (index) => {
+            replay.seek(index / fps);
+
+            const params = {
+              time: replay.getGlobalTime(),
+              ...replay.getParams()
+            };
+
+            particleSystem.update(params, 1 / fps);
+            cameraRig.update(params.cameraTiltX, params.cameraTiltY, params.cameraZoom);
+            renderScene(params, replay.getStateName());
+
+            return p.canvas;
+          },
+          onProgress: (progress) => {
+            uiManager.setExportLabel('ritual', `Rendering ${Math.round(progress * 100)}%`);
+          }
+        });
+      } finally {
+        uiManager.setExportLabel('ritual', null);
+
+        // Hand the canvas back to the live relic
+        lastFrameTime = p.millis();
+        p.loop();
+      }
+    });
+  }
+
+  /**
+   * Export a short seamless loop of the settled relic. Ritual time is frozen
+   * after the final transition; only loop phase moves the weathering, grain
+   * and particle shimmer, so the last frame leads back into the first.
+   */
+  function handleLoopExport(format) {
+    if (exportManager.isCurrentlyExporting()) return;
+
+    const { duration, fps, size, breath, shimmer } = CONFIG.loop;
+    const settleTime = ritualController.getDuration() + CONFIG.video.relicHold;
+    const relic = ritualController.evaluate(settleTime);
+    const stateName = ritualController.getStateName();
+    const frameCount = Math.round(duration * fps);
+
+    return runMenuExport(format, `${format.toUpperCase()} loop`, async () => {
+      p.noLoop();
+
+      try {
+        return await exportManager.exportLoop({
+          format,
+          frameCount,
+          fps,
+          size: Math.min(size, p.width * p.pixelDensity()),
+          editionNumber: editionManager.getEditionForFilename(),
+          renderFrame: (index) => {
+            const loopPhase = index / frameCount;
+
+            const params = {
+              ...relic,
+              time: settleTime,
+              loopPhase,
+              weatheringAmount: relic.weatheringAmount * (1 + breath * Math.sin(loopPhase * p.TWO_PI)),
+              particleEnergy: Math.max(relic.particleEnergy, shimmer)
+            };
+
+            cameraRig.update(params.cameraTiltX, params.cameraTiltY, params.cameraZoom);
+            renderScene(params, stateName);
+
+            return p.canvas;
+          },
+          onProgress: (progress) => {
+            uiManager.setExportLabel(format, `Rendering ${Math.round(progress * 100)}%`);
+          }
+        });
+      } finally {
+        uiManager.setExportLabel(format, null);
+
+        lastFrameTime = p.millis();
+        p.loop();
+      }
+    });
+  }
+
+  /**
+   * Render text overlays for export onto a 2D page
+   * @param {Object} text - Positions and sizes from the page layout (utils/print.js)
+   */
+  function renderExportText(pg, text) {
+    pg.push();
 
     // Edition label (bottom center)
-    pg.fill(COLORS.ghost.r, COLORS.ghost.g, COLORS.ghost.b, 160);
+    const { label, timestamp } = text;
+    pg.fill(colors.highlight.r, colors.highlight.g, colors.highlight.b, 160);
     pg.noStroke();
-    pg.textAlign(pg.CENTER, pg.BOTTOM);
-    pg.textSize(unit * 0.008);
+    pg.textAlign(pg.CENTER, label.baseline === 'center' ? pg.CENTER : pg.BOTTOM);
+    pg.textSize(label.size);
     pg.text(
       editionManager.getEditionLabel(),
-      unit / 2,
-      unit * 0.96
+      label.x,
+      label.y
     );
 
     // Timestamp (top right)
     if (timestampFormatted) {
-      pg.fill(COLORS.ghost.r, COLORS.ghost.g, COLORS.ghost.b, 120);
+      pg.fill(colors.highlight.r, colors.highlight.g, colors.highlight.b, 120);
       pg.textAlign(pg.RIGHT, pg.TOP);
-      pg.textSize(unit * 0.007);
+      pg.textSize(timestamp.size);
       pg.text(
         timestampFormatted,
-        unit * 0.96,
-        unit * 0.04
+        timestamp.x,
+        timestamp.y
       );
     }
 
     pg.pop();
   }
 
+  /**
+   * SVG counterpart of renderExportText
+   */
+  function renderExportTextSVG(layer, unit) {
+    const half = unit / 2;
+
+    layer.text(0, unit * 0.96 - half, editionManager.getEditionLabel(),
+      { fill: colors.highlight, fillOpacity: 160 / 255 },
+      { size: unit * 0.008, anchor: 'middle', baseline: 'text-after-edge' });
+
+    if (timestampFormatted) {
+      layer.text(unit * 0.96 - half, unit * 0.04 - half, timestampFormatted,
+        { fill: colors.highlight, fillOpacity: 120 / 255 },
+        { size: unit * 0.007, anchor: 'end', baseline: 'hanging' });
+    }
+  }
+
   /**
    * Window resize
    */
@@ -1,18 +1,23 @@
+// Palette roles (see utils/palette.js) for filled cells, and for grid lines
+const CELL_ROLES = ['shade', 'ink', 'accent'];
+const LINE_ROLES = ['shade', 'ink', 'highlight'];
+
 /**
- * Renders a prominent architectural grid inspired by drafting paper
+ * Draws a prominent architectural grid inspired by drafting paper
  */
 export class GridSystem {
   constructor(p5Instance, seedManager) {
     this.p = p5Instance;
-    this.seed = seedManager;
+    this.seed = seedManager.stream('grid');
+    this.field = seedManager.noiseField;
 
     // Much denser grid to match reference images
-    this.gridSize = Math.floor(seedManager.randRange(16, 24)); // 16-24 cells
+    this.gridSize = Math.floor(this.seed.randRange(16, 24)); // 16-24 cells
     this.gridExtent = 0.6; // Cover more of the canvas
 
-    // Randomize grid line colors per edition
-    this.innerGridColor = Math.floor(seedManager.randRange(0, 3)); // 0=twilight, 1=periwinkle, 2=ghost
-    this.outerGridColor = Math.floor(seedManager.randRange(0, 3));
+    // Randomize grid line colors per edition (indices into LINE_ROLES)
+    this.innerGridColor = Math.floor(this.seed.randRange(0, 3));
+    this.outerGridColor = Math.floor(this.seed.randRange(0, 3));
 
     // Generate some grid cells with fills (like colored squares in references)
     this.filledCells = [];
@@ -30,13 +35,13 @@ export class GridSystem {
     for (let i = 0; i < numFilledCells; i++) {
       const gridX = Math.floor(this.seed.randRange(0, this.gridSize));
       const gridY = Math.floor(this.seed.randRange(0, this.gridSize));
-      const colorIndex = Math.floor(this.seed.randRange(0, 3)); // 0=blue, 1=periwinkle, 2=golden
+      const role = CELL_ROLES[Math.floor(this.seed.randRange(0, 3))];
       const alpha = this.seed.randRange(0.1, 0.25);
 
       this.filledCells.push({
         gridX,
         gridY,
-        colorIndex,
+        role,
         alpha
       });
     }
@@ -53,7 +58,6 @@ export class GridSystem {
       this.fragments.push({
         gridX,
         gridY,
-        zOffset: 0,
         drift: {
           x: this.seed.randRange(-0.02, 0.02),
           y: this.seed.randRange(-0.02, 0.02),
@@ -66,329 +70,147 @@ export class GridSystem {
   /**
    * Get color from palette with destabilization cycling
    */
-  _getGridColor(colorIndex, colors, glitchRate) {
+  _getGridColor(colorIndex, colors, glitchRate, time) {
     // During high glitch, cycle through colors
     if (glitchRate > 0.3) {
-      const cycle = Math.floor(this.p.millis() * 0.003 + colorIndex) % 3;
+      const cycle = Math.floor(time * 3 + colorIndex) % 3;
       colorIndex = cycle;
     }
 
-    if (colorIndex === 0) return colors.twilight;
-    if (colorIndex === 1) return colors.periwinkle;
-    return colors.ghost; // 2 = ghost white
-  }
-
-  /**
-   * Get static color from palette (for export, no animation)
-   */
-  _getColorStatic(colorIndex, colors) {
-    if (colorIndex === 0) return colors.twilight;
-    if (colorIndex === 1) return colors.periwinkle;
-    return colors.ghost; // 2 = ghost white
+    return colors[LINE_ROLES[colorIndex]];
   }
 
   /**
-   * Render the grid system
+   * Describe the grid for this frame (composition units, see render/DrawList.js)
    */
-  render(params, unit, colors) {
+  draw(scene, params, colors) {
     const visibility = params.gridVisibility;
     const noiseAmp = params.noiseAmp;
     const zLift = params.zLiftStrength;
     const glitchRate = params.glitchRate;
+    const time = params.time;
 
     if (visibility <= 0) return;
 
-    this.p.push();
-
-    const cellSize = (this.gridExtent * 2 * unit) / this.gridSize;
-
-    // Update fragment offsets
-    for (const frag of this.fragments) {
-      frag.zOffset = zLift * frag.drift.z * unit;
-    }
+    const cellSize = (this.gridExtent * 2) / this.gridSize;
 
     // Draw filled cells first (background layer)
     if (visibility > 0.3) {
-      this._renderFilledCells(visibility, unit, colors, cellSize);
+      this._drawFilledCells(scene.group('grid-cells'), visibility, colors, cellSize);
     }
 
     // Draw main grid lines with position-based colors
-    this.p.strokeWeight(unit * 0.0015); // Thicker grid lines
-
-    const centerThreshold = this.gridSize * 0.3; // Inner 30% region
-
-    // Vertical lines
-    for (let i = 0; i <= this.gridSize; i++) {
-      const x = -this.gridExtent * unit + i * cellSize;
-
-      // Determine if this is an inner or outer line
-      const distFromCenter = Math.abs(i - this.gridSize / 2);
-      const isInner = distFromCenter < centerThreshold;
-
-      // Get color based on position
-      const colorIndex = isInner ? this.innerGridColor : this.outerGridColor;
-      const lineColor = this._getGridColor(colorIndex, colors, glitchRate);
-
-      this.p.stroke(lineColor.r, lineColor.g, lineColor.b, visibility * 140);
-
-      this.p.beginShape();
-      for (let j = 0; j <= this.gridSize; j++) {
-        const y = -this.gridExtent * unit + j * cellSize;
-
-        let vx = x;
-        let vy = y;
-        let vz = 0;
-
-        // Apply noise
-        if (noiseAmp > 0) {
-          const n = this.p.noise(i * 0.5, j * 0.5, this.p.millis() * 0.0002);
-          vx += (n - 0.5) * noiseAmp * unit * 0.05;
-          vy += (n - 0.5) * noiseAmp * unit * 0.05;
-        }
-
-        this.p.vertex(vx, vy, vz);
-      }
-      this.p.endShape();
-    }
-
-    // Horizontal lines
-    for (let j = 0; j <= this.gridSize; j++) {
-      const y = -this.gridExtent * unit + j * cellSize;
-
-      // Determine if this is an inner or outer line
-      const distFromCenter = Math.abs(j - this.gridSize / 2);
-      const isInner = distFromCenter < centerThreshold;
-
-      // Get color based on position
-      const colorIndex = isInner ? this.innerGridColor : this.outerGridColor;
-      const lineColor = this._getGridColor(colorIndex, colors, glitchRate);
-
-      this.p.stroke(lineColor.r, lineColor.g, lineColor.b, visibility * 140);
-
-      this.p.beginShape();
-      for (let i = 0; i <= this.gridSize; i++) {
-        const x = -this.gridExtent * unit + i * cellSize;
-
-        let vx = x;
-        let vy = y;
-        let vz = 0;
-
-        // Apply noise
-        if (noiseAmp > 0) {
-          const n = this.p.noise(i * 0.5, j * 0.5, this.p.millis() * 0.0002);
-          vx += (n - 0.5) * noiseAmp * unit * 0.05;
-          vy += (n - 0.5) * noiseAmp * unit * 0.05;
-        }
-
-        this.p.vertex(vx, vy, vz);
-      }
-      this.p.endShape();
-    }
+    this._drawGridLines(scene.group('grid-lines'), visibility, colors, cellSize, noiseAmp, glitchRate, time);
 
     // Draw accent lines (thicker boundary lines every few cells, like in references)
     if (visibility > 0.5) {
-      this._renderAccentLines(visibility, unit, colors, cellSize, glitchRate);
+      this._drawAccentLines(scene.group('grid-accents'), visibility, colors, cellSize, glitchRate, time);
     }
 
     // Draw detached fragments
     if (zLift > 0.3) {
-      this._renderFragments(params, unit, colors, cellSize);
+      this._drawFragments(scene.group('grid-fragments'), zLift, colors, cellSize);
     }
-
-    this.p.pop();
   }
 
-  _renderFilledCells(visibility, unit, colors, cellSize) {
+  _drawFilledCells(layer, visibility, colors, cellSize) {
     for (const cell of this.filledCells) {
-      let color = colors.twilight;
-      if (cell.colorIndex === 1) color = colors.periwinkle;
-      if (cell.colorIndex === 2) color = colors.golden;
-
-      const x = -this.gridExtent * unit + cell.gridX * cellSize;
-      const y = -this.gridExtent * unit + cell.gridY * cellSize;
-
-      this.p.fill(color.r, color.g, color.b, cell.alpha * visibility * 255);
-      this.p.noStroke();
-      this.p.rect(x, y, cellSize, cellSize);
-    }
-  }
-
-  _renderAccentLines(visibility, unit, colors, cellSize, glitchRate) {
-    // Draw thicker lines every 4 cells (like major grid divisions)
-    const accentInterval = 4;
+      const color = colors[cell.role];
 
-    this.p.strokeWeight(unit * 0.003);
+      const x = -this.gridExtent + cell.gridX * cellSize;
+      const y = -this.gridExtent + cell.gridY * cellSize;
 
-    // Accent lines use outer grid color
-    const accentColor = this._getGridColor(this.outerGridColor, colors, glitchRate);
-    this.p.stroke(accentColor.r, accentColor.g, accentColor.b, visibility * 200);
-
-    // Vertical accent lines
-    for (let i = 0; i <= this.gridSize; i += accentInterval) {
-      const x = -this.gridExtent * unit + i * cellSize;
-      const y1 = -this.gridExtent * unit;
-      const y2 = this.gridExtent * unit;
-
-      this.p.line(x, y1, 0, x, y2, 0);
-    }
-
-    // Horizontal accent lines
-    for (let j = 0; j <= this.gridSize; j += accentInterval) {
-      const y = -this.gridExtent * unit + j * cellSize;
-      const x1 = -this.gridExtent * unit;
-      const x2 = this.gridExtent * unit;
-
-      this.p.line(x1, y, 0, x2, y, 0);
+      layer.rect(x, y, cellSize, cellSize, { fill: color, fillOpacity: cell.alpha * visibility });
     }
   }
 
-  _renderFragments(params, unit, colors, cellSize) {
-    const zLift = params.zLiftStrength;
-
-    for (const frag of this.fragments) {
-      this.p.push();
-
-      const x = -this.gridExtent * unit + (frag.gridX + 0.5) * cellSize;
-      const y = -this.gridExtent * unit + (frag.gridY + 0.5) * cellSize;
-      const z = frag.zOffset;
-
-      // Apply drift
-      const driftX = frag.drift.x * zLift * unit;
-      const driftY = frag.drift.y * zLift * unit;
-
-      this.p.translate(x + driftX, y + driftY, z);
-
-      // Draw small square fragment
-      this.p.stroke(colors.golden.r, colors.golden.g, colors.golden.b, zLift * 180);
-      this.p.strokeWeight(unit * 0.002);
-      this.p.noFill();
-
-      const halfCell = cellSize * 0.4;
-      this.p.rect(-halfCell, -halfCell, cellSize * 0.8, cellSize * 0.8);
-
-      this.p.pop();
-    }
-  }
-
-  /**
-   * Render to an offscreen graphics buffer for export
-   */
-  renderToGraphics(pg, params, unit, colors) {
-    const visibility = params.gridVisibility;
-    const noiseAmp = params.noiseAmp;
-
-    if (visibility <= 0) return;
-
-    pg.push();
-
-    const cellSize = (this.gridExtent * 2 * unit) / this.gridSize;
-
-    // Draw filled cells
-    for (const cell of this.filledCells) {
-      let color = colors.twilight;
-      if (cell.colorIndex === 1) color = colors.periwinkle;
-      if (cell.colorIndex === 2) color = colors.golden;
-
-      const x = -this.gridExtent * unit + cell.gridX * cellSize;
-      const y = -this.gridExtent * unit + cell.gridY * cellSize;
-
-      pg.fill(color.r, color.g, color.b, cell.alpha * visibility * 255);
-      pg.noStroke();
-      pg.rect(x, y, cellSize, cellSize);
-    }
+  _drawGridLines(layer, visibility, colors, cellSize, noiseAmp, glitchRate, time) {
+    const centerThreshold = this.gridSize * 0.3; // Inner 30% region
 
-    // Main grid lines with position-based colors
-    pg.strokeWeight(unit * 0.0015);
+    const vertex = (i, j) => {
+      let x = -this.gridExtent + i * cellSize;
+      let y = -this.gridExtent + j * cellSize;
 
-    const centerThreshold = this.gridSize * 0.3; // Inner 30% region
+      // Apply noise (sampled against ritual time)
+      if (noiseAmp > 0) {
+        const n = this.field.noise3D(i * 0.5, j * 0.5, time * 0.2);
+        x += n * 0.5 * noiseAmp * 0.05;
+        y += n * 0.5 * noiseAmp * 0.05;
+      }
 
-    // Vertical lines
-    for (let i = 0; i <= this.gridSize; i++) {
-      const x = -this.gridExtent * unit + i * cellSize;
+      return { x, y };
+    };
 
+    const lineStyle = (index) => {
       // Determine if this is an inner or outer line
-      const distFromCenter = Math.abs(i - this.gridSize / 2);
-      const isInner = distFromCenter < centerThreshold;
-
-      // Get color based on position (no glitch cycling in export)
+      const isInner = Math.abs(index - this.gridSize / 2) < centerThreshold;
       const colorIndex = isInner ? this.innerGridColor : this.outerGridColor;
-      const lineColor = this._getColorStatic(colorIndex, colors);
 
-      pg.stroke(lineColor.r, lineColor.g, lineColor.b, visibility * 140);
+      return {
+        stroke: this._getGridColor(colorIndex, colors, glitchRate, time),
+        strokeOpacity: visibility * 140 / 255,
+        strokeWidth: 0.0015 // Thicker grid lines
+      };
+    };
 
-      pg.beginShape();
+    // Vertical lines
+    for (let i = 0; i <= this.gridSize; i++) {
+      const points = [];
       for (let j = 0; j <= this.gridSize; j++) {
-        const y = -this.gridExtent * unit + j * cellSize;
-
-        let vx = x;
-        let vy = y;
-
-        // Frozen noise for export
-        if (noiseAmp > 0) {
-          const n = this.p.noise(i * 0.5, j * 0.5, 100);
-          vx += (n - 0.5) * noiseAmp * unit * 0.05;
-          vy += (n - 0.5) * noiseAmp * unit * 0.05;
-        }
-
-        pg.vertex(vx, vy, 0);
+        points.push(vertex(i, j));
       }
-      pg.endShape();
+      layer.polyline(points, lineStyle(i));
     }
 
     // Horizontal lines
     for (let j = 0; j <= this.gridSize; j++) {
-      const y = -this.gridExtent * unit + j * cellSize;
-
-      // Determine if this is an inner or outer line
-      const distFromCenter = Math.abs(j - this.gridSize / 2);
-      const isInner = distFromCenter < centerThreshold;
-
-      // Get color based on position (no glitch cycling in export)
-      const colorIndex = isInner ? this.innerGridColor : this.outerGridColor;
-      const lineColor = this._getColorStatic(colorIndex, colors);
-
-      pg.stroke(lineColor.r, lineColor.g, lineColor.b, visibility * 140);
-
-      pg.beginShape();
+      const points = [];
       for (let i = 0; i <= this.gridSize; i++) {
-        const x = -this.gridExtent * unit + i * cellSize;
-
-        let vx = x;
-        let vy = y;
-
-        if (noiseAmp > 0) {
-          const n = this.p.noise(i * 0.5, j * 0.5, 100);
-          vx += (n - 0.5) * noiseAmp * unit * 0.05;
-          vy += (n - 0.5) * noiseAmp * unit * 0.05;
-        }
-
-        pg.vertex(vx, vy, 0);
+        points.push(vertex(i, j));
       }
-      pg.endShape();
+      layer.polyline(points, lineStyle(j));
     }
+  }
 
-    // Accent lines with outer grid color
+  _drawAccentLines(layer, visibility, colors, cellSize, glitchRate, time) {
+    // Draw thicker lines every 4 cells (like major grid divisions)
     const accentInterval = 4;
-    const accentColor = this._getColorStatic(this.outerGridColor, colors);
-    pg.stroke(accentColor.r, accentColor.g, accentColor.b, visibility * 200);
-    pg.strokeWeight(unit * 0.003);
+    const extent = this.gridExtent;
 
-    for (let i = 0; i <= this.gridSize; i += accentInterval) {
-      const x = -this.gridExtent * unit + i * cellSize;
-      const y1 = -this.gridExtent * unit;
-      const y2 = this.gridExtent * unit;
+    // Accent lines use outer grid color
+    const style = {
+      stroke: this._getGridColor(this.outerGridColor, colors, glitchRate, time),
+      strokeOpacity: visibility * 200 / 255,
+      strokeWidth: 0.003
+    };
 
-      pg.line(x, y1, 0, x, y2, 0);
+    // Vertical accent lines
+    for (let i = 0; i <= this.gridSize; i += accentInterval) {
+      const x = -extent + i * cellSize;
+      layer.line(x, -extent, x, extent, style);
     }
 
+    // Horizontal accent lines
     for (let j = 0; j <= this.gridSize; j += accentInterval) {
-      const y = -this.gridExtent * unit + j * cellSize;
-      const x1 = -this.gridExtent * unit;
-      const x2 = this.gridExtent * unit;
-
-      pg.line(x1, y, 0, x2, y, 0);
+      const y = -extent + j * cellSize;
+      layer.line(-extent, y, extent, y, style);
     }
+  }
+
+  _drawFragments(layer, zLift, colors, cellSize) {
+    const style = { stroke: colors.accent, strokeOpacity: zLift * 180 / 255, strokeWidth: 0.002 };
+    const halfCell = cellSize * 0.4;
+
+    for (let index = 0; index < this.fragments.length; index++) {
+      const frag = this.fragments[index];
 
-    pg.pop();
+      // Apply drift, lifting each fragment off the grid
+      const x = -this.gridExtent + (frag.gridX + 0.5) * cellSize + frag.drift.x * zLift;
+      const y = -this.gridExtent + (frag.gridY + 0.5) * cellSize + frag.drift.y * zLift;
+      const fragment = layer.group(`grid-fragment-${index + 1}`, { z: zLift * frag.drift.z });
+
+      // Draw small square fragment
+      fragment.rect(x - halfCell, y - halfCell, cellSize * 0.8, cellSize * 0.8, style);
+    }
   }
 }
@@ -4,12 +4,24 @@
 export class ParticleSystem {
   constructor(p5Instance, seedManager) {
     this.p = p5Instance;
-    this.seed = seedManager;
+    this.seedManager = seedManager;
+    this.seed = seedManager.stream('particles');
+    this.field = seedManager.noiseField;
 
     this.particles = [];
     this.maxParticles = 300; // Increased from 120
 
-    // Initialize particles
+    this.reset();
+  }
+
+  /**
+   * (Re)create every particle from the start of the seeded stream,
+   * so a replay of the ritual starts from the same positions
+   */
+  reset() {
+    this.seed.reset();
+    this.particles = [];
+
     for (let i = 0; i < this.maxParticles; i++) {
       this.particles.push(this._createParticle());
     }
@@ -37,6 +49,7 @@ export class ParticleSystem {
   update(params, deltaTime) {
     const energy = params.particleEnergy;
     const noiseAmp = params.noiseAmp;
+    const time = params.time;
 
     const activeCount = Math.floor(energy * this.maxParticles);
 
@@ -57,7 +70,7 @@ export class ParticleSystem {
 
       // Apply noise-based force
       if (noiseAmp > 0) {
-        const noiseForce = this.p.noise(p.x * 3, p.y * 3, this.p.millis() * 0.0003);
+        const noiseForce = this.field.noise3D(p.x * 3, p.y * 3, time * 0.3) * 0.5 + 0.5;
         const angle = noiseForce * this.p.TWO_PI * 2;
         p.vx += Math.cos(angle) * 0.00005 * energy;
         p.vy += Math.sin(angle) * 0.00005 * energy;
@@ -91,52 +104,60 @@ export class ParticleSystem {
   }
 
   /**
-   * Render particles
+   * Describe the particles for this frame (composition units, see render/DrawList.js)
    */
-  render(params, unit, colors) {
+  draw(scene, params, colors) {
     const energy = params.particleEnergy;
 
     if (energy <= 0) return;
 
-    this.p.push();
+    if (params.loopPhase !== undefined) {
+      this._drawShimmer(scene, energy, params.loopPhase, colors);
+      return;
+    }
 
     for (const p of this.particles) {
       if (!p.active) continue;
 
-      const alpha = p.life * energy * 180;
+      const alpha = p.life * energy * 180 / 255;
 
       // Render particle
-      this.p.noStroke();
-      this.p.fill(colors.periwinkle.r, colors.periwinkle.g, colors.periwinkle.b, alpha);
-
-      const x = p.x * unit;
-      const y = p.y * unit;
-      const size = p.size * unit;
-
-      this.p.circle(x, y, size);
+      scene.circle(p.x, p.y, p.size / 2, { fill: colors.ink, fillOpacity: alpha });
 
       // Render trail (more visible)
       if (p.path.length > 1) {
-        this.p.stroke(colors.periwinkle.r, colors.periwinkle.g, colors.periwinkle.b, alpha * 0.6);
-        this.p.strokeWeight(unit * 0.0008); // Increased from 0.0003
-        this.p.noFill();
-
-        this.p.beginShape();
-        for (const pt of p.path) {
-          this.p.vertex(pt.x * unit, pt.y * unit);
-        }
-        this.p.endShape();
+        scene.polyline(p.path.slice(), {
+          stroke: colors.ink,
+          strokeOpacity: alpha * 0.6,
+          strokeWidth: 0.0008 // Increased from 0.0003
+        });
       }
     }
-
-    this.p.pop();
   }
 
   /**
-   * Render to offscreen graphics (minimal particles for export)
+   * Draw particles as a function of loop phase (0-1) instead of the
+   * simulation: each one hovers near a fixed point and pulses once per loop
    */
-  renderToGraphics(pg, params, unit, colors) {
-    // Don't render particles in final export to keep it clean
-    return;
+  _drawShimmer(scene, energy, phase, colors) {
+    const shimmer = this.seedManager.stream('particles/shimmer');
+    const field = this.field;
+    const count = Math.floor(energy * this.maxParticles);
+
+    for (let i = 0; i < count; i++) {
+      const angle = shimmer.randRange(0, this.p.TWO_PI);
+      const radius = shimmer.randRange(0, 0.4);
+      const size = shimmer.randRange(0.004, 0.016);
+      const offset = shimmer.rand();
+
+      const baseX = radius * Math.cos(angle);
+      const baseY = radius * Math.sin(angle);
+      const x = baseX + field.loop2D(baseX * 3, baseY * 3, phase, 0.4) * 0.015;
+      const y = baseY + field.loop2D(baseX * 3 + 100, baseY * 3, phase, 0.4) * 0.015;
+
+      const pulse = 0.5 + 0.5 * Math.sin((phase + offset) * this.p.TWO_PI);
+
+      scene.circle(x, y, size / 2, { fill: colors.ink, fillOpacity: pulse * energy * 180 / 255 });
+    }
   }
 }
@@ -1,10 +1,28 @@
+import { scaleColor } from '../utils/palette.js';
+
 /**
- * Applies aged paper texture, staining, and subtle weathering
+ * Applies aged paper texture, staining, and subtle weathering.
+ *
+ * In 'dark' mode weathering glows on the ground like dust in light. In
+ * 'paper' mode it behaves like ink on paper: stains and pixel noise multiply
+ * (they can only darken), and grain becomes short dark fibres.
  */
 export class WeatheringPass {
-  constructor(p5Instance, seedManager) {
+  /**
+   * @param {Object} p5Instance
+   * @param {SeedManager} seedManager
+   * @param {Object} [options]
+   * @param {string} [options.mode='dark'] - Display mode, 'dark' or 'paper' (see utils/palette.js)
+   */
+  constructor(p5Instance, seedManager, { mode = 'dark' } = {}) {
     this.p = p5Instance;
-    this.seed = seedManager;
+    this.seedManager = seedManager;
+    this.mode = mode;
+    this.seed = seedManager.stream('weathering');
+    this.field = seedManager.noiseField;
+
+    // Separate stream for per-frame grain and pixel noise
+    this.grain = seedManager.stream('weathering/grain');
 
     // Pre-generate stain positions (like water damage or aging spots)
     this.stains = [];
@@ -24,14 +42,14 @@ export class WeatheringPass {
       const y = this.seed.randRange(-0.5, 0.5);
       const size = this.seed.randRange(0.1, 0.3);
       const opacity = this.seed.randRange(0.03, 0.08);
-      const colorIndex = Math.floor(this.seed.randRange(0, 2)); // 0=golden (aged), 1=twilight
+      const role = this.seed.randRange(0, 2) < 1 ? 'accent' : 'shade'; // Aged, or dark
 
       this.stains.push({
         x,
         y,
         size,
         opacity,
-        colorIndex
+        role
       });
     }
   }
@@ -50,180 +68,165 @@ export class WeatheringPass {
   }
 
   /**
-   * Render weathering effects
+   * Rewind the per-frame grain so a replay of the ritual matches
    */
-  render(params, unit, colors, ritualStateName) {
+  reset() {
+    this.grain.reset();
+  }
+
+  /**
+   * Describe the weathering for this frame (composition units, see render/DrawList.js).
+   * When params.loopPhase is set (0-1), grain and pixelation are drawn as a
+   * function of that phase instead of fresh randomness, so frames loop.
+   */
+  draw(scene, params, colors, ritualStateName) {
     const amount = params.weatheringAmount;
     const glitchRate = params.glitchRate;
+    const loopPhase = params.loopPhase;
 
     if (amount <= 0) return;
 
-    this.p.push();
+    // On paper, stains and noise darken what lies beneath instead of covering it
+    const paper = this.mode === 'paper';
+    const blend = paper ? 'multiply' : 'blend';
 
     // Render aged paper stains first (background layer)
     if (amount > 0.2) {
-      this._renderStains(amount, unit, colors);
+      this._drawStains(scene.group('stains', { blend }), amount, colors);
     }
 
     // Apply pixelation effect during resolution (REASSEMBLE, CONSECRATE_2D, RELIC)
     const pixelationStates = ['REASSEMBLE', 'CONSECRATE_2D', 'RELIC'];
     if (pixelationStates.includes(ritualStateName)) {
-      this._renderPixelation(amount, unit);
+      this._drawPixelation(scene.group('pixelation', { blend }), amount, loopPhase, colors, paper);
     }
 
     // Apply subtle grain texture
-    this._renderGrain(amount, unit);
+    if (paper) {
+      this._drawFibres(scene.group('grain', { blend }), amount, loopPhase, colors);
+    } else {
+      this._drawGrain(scene.group('grain'), amount, loopPhase, colors);
+    }
 
     // Apply glitch residue (golden flecks)
     if (glitchRate > 0.2) {
-      this._renderGlitchResidue(glitchRate, amount, unit, colors);
+      this._drawGlitchResidue(scene.group('glitch-residue'), glitchRate, amount, colors);
     }
-
-    this.p.pop();
   }
 
-  _renderStains(amount, unit, colors) {
+  _drawStains(layer, amount, colors) {
     // Render organic stain shapes
     for (const stain of this.stains) {
-      const color = stain.colorIndex === 0 ? colors.golden : colors.twilight;
-
-      const x = stain.x * unit;
-      const y = stain.y * unit;
-      const size = stain.size * unit * amount;
+      const color = colors[stain.role];
+      const radius = stain.size * amount / 2;
 
       // Draw soft circular stain with radial gradient effect
       const steps = 20;
       for (let i = steps; i > 0; i--) {
         const t = i / steps;
-        const alpha = stain.opacity * amount * t * 255;
-
-        this.p.noStroke();
-        this.p.fill(color.r, color.g, color.b, alpha);
-        this.p.circle(x, y, size * t);
+        layer.circle(stain.x, stain.y, radius * t, { fill: color, fillOpacity: stain.opacity * amount * t });
       }
     }
   }
 
-  _renderPixelation(amount, unit) {
-    // Apply subtle pixelation overlay effect during resolution
-    // This creates a mosaic-like texture without affecting the export
-    const pixelSize = unit * 0.015; // Size of each pixel block
-    const gridExtent = unit * 0.6;
+  _drawPixelation(layer, amount, loopPhase, colors, paper) {
+    // Subtle mosaic-like texture over the resolving composition
+    const pixelSize = 0.015; // Size of each pixel block
+    const gridExtent = 0.6;
     const steps = Math.floor((gridExtent * 2) / pixelSize);
 
-    this.p.noStroke();
-
     for (let i = 0; i < steps; i++) {
       for (let j = 0; j < steps; j++) {
         const x = -gridExtent + i * pixelSize;
         const y = -gridExtent + j * pixelSize;
 
-        // Sample random brightness for each pixel
-        const brightness = this.p.random(0, 50);
-        const alpha = amount * brightness * 0.15;
+        // Sample random brightness for each pixel (a slow noise walk when looping)
+        const brightness = loopPhase === undefined
+          ? this.grain.randRange(0, 50)
+          : (this.field.loop2D(i * 0.35, j * 0.35, loopPhase, 0.6) * 0.5 + 0.5) * 50;
+        const alpha = amount * brightness * 0.15 / 255;
 
-        // Draw semi-transparent pixel blocks
-        this.p.fill(brightness, brightness, brightness, alpha);
-        this.p.rect(x, y, pixelSize, pixelSize);
+        // Draw semi-transparent pixel blocks (dark fibre colour on paper, whose
+        // strength is carried by the alpha alone)
+        const fill = paper ? colors.grain : scaleColor(colors.grain, brightness / 255);
+        layer.rect(x, y, pixelSize, pixelSize, { fill, fillOpacity: alpha });
       }
     }
   }
 
-  _renderGrain(amount, unit) {
+  _drawGrain(layer, amount, loopPhase, colors) {
     // Subtle grain overlay using random points (like paper texture)
     const grainDensity = 400;
-    const grainAlpha = amount * 12;
+    const grainAlpha = amount * 12 / 255;
+
+    // When looping, the same grain is redrawn every frame and drifts along closed noise paths
+    const looping = loopPhase !== undefined;
+    const grain = looping ? this.seedManager.stream('weathering/loop-grain') : this.grain;
 
     for (let i = 0; i < grainDensity * amount; i++) {
-      const x = this.p.random(-unit * 0.6, unit * 0.6);
-      const y = this.p.random(-unit * 0.6, unit * 0.6);
+      let x = grain.randRange(-0.6, 0.6);
+      let y = grain.randRange(-0.6, 0.6);
 
       // Vary grain color slightly (some darker, some lighter)
-      const brightness = this.p.random(200, 255);
-
-      this.p.stroke(brightness, grainAlpha);
-      this.p.strokeWeight(1);
-      this.p.point(x, y);
-    }
-  }
-
-  _renderGlitchResidue(glitchRate, weathering, unit, colors) {
-    // Render golden glitch flecks
-    const visibleCount = Math.floor(glitchRate * this.glitchFlecks.length);
-
-    for (let i = 0; i < visibleCount; i++) {
-      const fleck = this.glitchFlecks[i];
+      const brightness = grain.randRange(200, 255);
 
-      const x = fleck.x * unit;
-      const y = fleck.y * unit;
-      const alpha = fleck.opacity * glitchRate * weathering * 220;
+      if (looping) {
+        const driftX = this.field.loop2D(x * 4, y * 4, loopPhase, 0.5);
+        const driftY = this.field.loop2D(x * 4 + 50, y * 4, loopPhase, 0.5);
+        x += driftX * 0.01;
+        y += driftY * 0.01;
+      }
 
-      this.p.noStroke();
-      this.p.fill(colors.golden.r, colors.golden.g, colors.golden.b, alpha);
-      this.p.circle(x, y, fleck.size * unit);
+      layer.point(x, y, {
+        stroke: scaleColor(colors.grain, brightness / 255),
+        strokeOpacity: grainAlpha,
+        strokeWidth: 0.0012 // About a pixel on the live canvas
+      });
     }
   }
 
-  /**
-   * Render to offscreen graphics for export
-   */
-  renderToGraphics(pg, params, unit, colors) {
-    const amount = params.weatheringAmount;
-
-    if (amount <= 0) return;
-
-    pg.push();
-
-    // Render stains
-    for (const stain of this.stains) {
-      const color = stain.colorIndex === 0 ? colors.golden : colors.twilight;
-
-      const x = stain.x * unit;
-      const y = stain.y * unit;
-      const size = stain.size * unit * amount;
-
-      // Draw soft circular stain
-      const steps = 20;
-      for (let i = steps; i > 0; i--) {
-        const t = i / steps;
-        const alpha = stain.opacity * amount * t * 255;
-
-        pg.noStroke();
-        pg.fill(color.r, color.g, color.b, alpha);
-        pg.circle(x, y, size * t);
+  _drawFibres(layer, amount, loopPhase, colors) {
+    // Short dark fibres, as in drafting paper, drawn like the grain points
+    const fibreDensity = 400;
+    const fibreAlpha = amount * 24 / 255;
+
+    const looping = loopPhase !== undefined;
+    const grain = looping ? this.seedManager.stream('weathering/loop-grain') : this.grain;
+
+    for (let i = 0; i < fibreDensity * amount; i++) {
+      let x = grain.randRange(-0.6, 0.6);
+      let y = grain.randRange(-0.6, 0.6);
+      const brightness = grain.randRange(200, 255);
+      const angle = grain.randRange(0, Math.PI * 2);
+      const length = grain.randRange(0.003, 0.008);
+
+      if (looping) {
+        const driftX = this.field.loop2D(x * 4, y * 4, loopPhase, 0.5);
+        const driftY = this.field.loop2D(x * 4 + 50, y * 4, loopPhase, 0.5);
+        x += driftX * 0.01;
+        y += driftY * 0.01;
       }
-    }
-
-    // Apply grain
-    const grainDensity = 600;
-    const grainAlpha = amount * 12;
-
-    for (let i = 0; i < grainDensity * amount; i++) {
-      const x = this.p.random(-unit * 0.6, unit * 0.6);
-      const y = this.p.random(-unit * 0.6, unit * 0.6);
 
-      const brightness = this.p.random(200, 255);
+      const dx = Math.cos(angle) * length / 2;
+      const dy = Math.sin(angle) * length / 2;
 
-      pg.stroke(brightness, grainAlpha);
-      pg.strokeWeight(1);
-      pg.point(x, y);
+      layer.line(x - dx, y - dy, x + dx, y + dy, {
+        stroke: scaleColor(colors.grain, brightness / 255),
+        strokeOpacity: fibreAlpha,
+        strokeWidth: 0.0008
+      });
     }
+  }
 
-    // Apply fixed glitch residue
-    const visibleCount = Math.floor(0.6 * this.glitchFlecks.length);
+  _drawGlitchResidue(layer, glitchRate, weathering, colors) {
+    // Render golden glitch flecks
+    const visibleCount = Math.floor(glitchRate * this.glitchFlecks.length);
 
     for (let i = 0; i < visibleCount; i++) {
       const fleck = this.glitchFlecks[i];
+      const alpha = fleck.opacity * glitchRate * weathering * 220 / 255;
 
-      const x = fleck.x * unit;
-      const y = fleck.y * unit;
-      const alpha = fleck.opacity * amount * 220;
-
-      pg.noStroke();
-      pg.fill(colors.golden.r, colors.golden.g, colors.golden.b, alpha);
-      pg.circle(x, y, fleck.size * unit);
+      layer.circle(fleck.x, fleck.y, fleck.size / 2, { fill: colors.accent, fillOpacity: alpha });
     }
-
-    pg.pop();
   }
 }
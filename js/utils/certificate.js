@@ -0,0 +1,128 @@
+import { PDFWriter, PAGE_SIZES, textWidth } from './pdf.js';
+
+/**
+ * Certificate of authenticity for a relic: one printable A4 page with a
+ * thumbnail of the relic, its edition, seed and completion time, the
+ * dedication from the welcome modal, and a verification fingerprint.
+ */
+
+const INK = { r: 28, g: 28, b: 31 };
+const MUTED = { r: 110, g: 110, b: 118 };
+const RULE = { r: 190, g: 190, b: 198 };
+
+/**
+ * Fingerprint binding a seed to an edition: the first 80 bits of
+ * SHA-256("stillbecoming:<seedString>:<edition>"), as five groups of four
+ * hex digits. Anyone with the seed and edition can recompute it.
+ * @param {string} seedString - Full seed (master seed + session seed)
+ * @param {string} edition - Edition label, e.g. 'Edition 042 of 100'
+ * @returns {Promise<string>} e.g. '3FA2-09C1-77B0-E4D5-1A6C'
+ */
+export async function certificateFingerprint(seedString, edition) {
+  const data = new TextEncoder().encode(`stillbecoming:${seedString}:${edition}`);
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+
+  const hex = Array.from(digest.subarray(0, 10), byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+  return hex.match(/.{4}/g).join('-');
+}
+
+/**
+ * Lay out the certificate
+ * @param {Object} details
+ * @param {string} details.edition - Edition label
+ * @param {string} details.seed - Session seed
+ * @param {string} details.completed - ISO completion timestamp
+ * @param {string} details.algorithm - Algorithm version
+ * @param {string} details.palette - Palette label
+ * @param {Array<string>} details.dedication - Paragraphs; '\n' marks a line break
+ * @param {string} details.fingerprint - From certificateFingerprint
+ * @param {Object} details.thumbnail - { bytes, width, height } of a JPEG
+ * @returns {Blob} PDF
+ */
+export function buildCertificate({ edition, seed, completed, algorithm, palette, dedication, fingerprint, thumbnail }) {
+  const pdf = new PDFWriter({
+    Title: `stillbecoming ${edition} - Certificate of Authenticity`,
+    Subject: `Seed ${seed}`
+  });
+  const page = pdf.addPage(PAGE_SIZES.A4);
+  const { width, height } = page;
+  const margin = 56;
+  const centre = width / 2;
+
+  // Frame
+  page.rect(margin / 2, margin / 2, width - margin, height - margin, { stroke: RULE, strokeWidth: 0.75 });
+
+  let y = height - margin - 24;
+  page.text(centre, y, 'stillbecoming', { font: 'Courier-Bold', size: 22, color: INK, align: 'center' });
+  y -= 20;
+  page.text(centre, y, 'CERTIFICATE OF AUTHENTICITY', { size: 9, color: MUTED, align: 'center' });
+
+  // Relic
+  const imageSize = 250;
+  y -= 24 + imageSize;
+  page.image(pdf.addJPEG(thumbnail.bytes, thumbnail.width, thumbnail.height), centre - imageSize / 2, y, imageSize, imageSize);
+  page.rect(centre - imageSize / 2, y, imageSize, imageSize, { stroke: RULE, strokeWidth: 0.5 });
+
+  y -= 34;
+  page.text(centre, y, edition, { font: 'Courier-Bold', size: 14, color: INK, align: 'center' });
+
+  // Details
+  const rows = [
+    ['Seed', seed],
+    ['Completed', completed],
+    ['Palette', palette],
+    ['Algorithm', algorithm]
+  ];
+  const labelX = centre - 150;
+  y -= 28;
+  for (const [label, value] of rows) {
+    page.text(labelX, y, label.toUpperCase(), { size: 8, color: MUTED });
+    page.text(labelX + 90, y, value, { size: 9, color: INK });
+    y -= 15;
+  }
+
+  // Dedication
+  y -= 12;
+  page.line(margin, y, width - margin, y, { color: RULE });
+  y -= 24;
+
+  const textSize = 9;
+  const leading = 13;
+  const maxWidth = width - margin * 2 - 40;
+  for (const paragraph of dedication) {
+    for (const line of paragraph.split('\n').flatMap(part => wrap(part.trim(), textSize, maxWidth))) {
+      page.text(centre, y, line, { font: 'Courier-Oblique', size: textSize, color: INK, align: 'center' });
+      y -= leading;
+    }
+    y -= leading * 0.6;
+  }
+
+  // Fingerprint
+  const footerY = margin + 20;
+  page.line(margin, footerY + 36, width - margin, footerY + 36, { color: RULE });
+  page.text(centre, footerY + 16, 'VERIFICATION FINGERPRINT', { size: 7, color: MUTED, align: 'center' });
+  page.text(centre, footerY, fingerprint, { font: 'Courier-Bold', size: 12, color: INK, align: 'center' });
+
+  return pdf.finish();
+}
+
+/**
+ * Break text into lines no wider than maxWidth (Courier at size points)
+ */
+function wrap(text, size, maxWidth) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines;
+}
@@ -0,0 +1,40 @@
+/**
+ * Small promise wrappers around IndexedDB
+ */
+
+/**
+ * Open (or create) a database
+ * @param {string} name
+ * @param {number} version
+ * @param {Function} upgrade - Receives the IDBDatabase when it is created or its version rises
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database "${name}" is open in another tab`));
+  });
+}
+
+/**
+ * Run `work` against one object store. Resolves when the transaction
+ * commits, with the result of the request `work` returns (if any).
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - (IDBObjectStore) => IDBRequest|undefined
+ */
+export function runTransaction(db, storeName, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error(`${storeName} transaction aborted`));
+  });
+}
@@ -0,0 +1,17 @@
+/**
+ * Offer a Blob to the visitor as a file download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
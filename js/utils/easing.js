@@ -30,6 +30,158 @@ export function linear(t) {
   return t;
 }
 
+export function easeInBack(t) {
+  const c1 = 1.70158;
+  return (c1 + 1) * t * t * t - c1 * t * t;
+}
+
+export function easeOutBack(t) {
+  const c1 = 1.70158;
+  return 1 + (c1 + 1) * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+}
+
+export function easeInOutBack(t) {
+  const c2 = 1.70158 * 1.525;
+  return t < 0.5
+    ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+    : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (t * 2 - 2) + c2) + 2) / 2;
+}
+
+export function easeInElastic(t) {
+  if (t <= 0) return 0;
+  if (t >= 1) return 1;
+  const c4 = (2 * Math.PI) / 3;
+  return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * c4);
+}
+
+export function easeOutElastic(t) {
+  if (t <= 0) return 0;
+  if (t >= 1) return 1;
+  const c4 = (2 * Math.PI) / 3;
+  return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
+}
+
+export function easeInOutElastic(t) {
+  if (t <= 0) return 0;
+  if (t >= 1) return 1;
+  const c5 = (2 * Math.PI) / 4.5;
+  return t < 0.5
+    ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c5)) / 2
+    : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c5)) / 2 + 1;
+}
+
+/**
+ * Stepped easing: jumps in n equal increments (like CSS steps(n, end))
+ */
+export function steps(n, jumpStart = false) {
+  const count = Math.max(1, Math.floor(n));
+  return (t) => {
+    if (t >= 1) return 1;
+    const step = Math.floor(t * count) + (jumpStart ? 1 : 0);
+    return Math.min(step / count, 1);
+  };
+}
+
+/**
+ * Cubic bezier easing with control points (x1, y1) and (x2, y2),
+ * same semantics as CSS cubic-bezier()
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+  const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+  const sampleDX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+  // Solve x(s) = t for s: Newton's method, falling back to bisection
+  const solve = (t) => {
+    let s = t;
+    for (let i = 0; i < 8; i++) {
+      const err = sampleX(s) - t;
+      if (Math.abs(err) < 1e-6) return s;
+      const d = sampleDX(s);
+      if (Math.abs(d) < 1e-6) break;
+      s -= err / d;
+    }
+
+    let lo = 0;
+    let hi = 1;
+    s = t;
+    while (hi - lo > 1e-6) {
+      if (sampleX(s) < t) lo = s;
+      else hi = s;
+      s = (lo + hi) / 2;
+    }
+    return s;
+  };
+
+  return (t) => {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    return sampleY(solve(t));
+  };
+}
+
+/**
+ * Named easing curves, for states that declare their easing by name
+ */
+export const EASINGS = {
+  linear,
+  easeInOutCubic,
+  easeOutCubic,
+  easeInCubic,
+  easeInOutQuad,
+  easeOutQuad,
+  easeInBack,
+  easeOutBack,
+  easeInOutBack,
+  easeInElastic,
+  easeOutElastic,
+  easeInOutElastic
+};
+
+/**
+ * Resolve an easing spec to a function.
+ * Accepts a function, a name from EASINGS, 'steps(n)' / 'steps(n, start)'
+ * or 'cubic-bezier(x1, y1, x2, y2)'.
+ */
+export function getEasing(spec) {
+  if (typeof spec === 'function') return spec;
+  if (easingCache.has(spec)) return easingCache.get(spec);
+
+  const easing = parseEasing(spec);
+  easingCache.set(spec, easing);
+  return easing;
+}
+
+const easingCache = new Map();
+
+function parseEasing(spec) {
+  if (typeof spec === 'string') {
+    if (EASINGS[spec]) return EASINGS[spec];
+
+    const stepsMatch = spec.match(/^steps\(\s*(\d+)\s*(?:,\s*(start|end)\s*)?\)$/);
+    if (stepsMatch) {
+      return steps(Number(stepsMatch[1]), stepsMatch[2] === 'start');
+    }
+
+    const bezierMatch = spec.match(/^cubic-bezier\(([^)]*)\)$/);
+    if (bezierMatch) {
+      const args = bezierMatch[1].split(',').map(Number);
+      if (args.length === 4 && args.every(Number.isFinite)) {
+        return cubicBezier(...args);
+      }
+    }
+  }
+
+  throw new Error(`Unknown easing "${spec}"`);
+}
+
 /**
  * Smooth interpolation between current and target value
  */
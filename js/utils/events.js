@@ -0,0 +1,42 @@
+/**
+ * Named events for controllers that others follow (RitualController,
+ * ExportJob). Subclasses document their events and fire them with _emit().
+ */
+export class EventEmitter {
+  constructor() {
+    // Event listeners, keyed by event name
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event. Returns a function that unsubscribes.
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Remove a listener added with on()
+   */
+  off(event, callback) {
+    const callbacks = this.listeners.get(event);
+    if (callbacks) {
+      callbacks.delete(callback);
+    }
+  }
+
+  _emit(event, payload) {
+    const callbacks = this.listeners.get(event);
+    if (!callbacks) return;
+
+    // Copy so listeners can unsubscribe while being called
+    for (const callback of [...callbacks]) {
+      callback(payload);
+    }
+  }
+}
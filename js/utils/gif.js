@@ -0,0 +1,288 @@
+/**
+ * Animated GIF writing: median-cut palette quantization and LZW encoding.
+ * Every frame shares one global palette, so colours don't flicker between
+ * frames of a loop.
+ */
+
+/**
+ * Build a palette of up to `maxColors` colours with median cut
+ * @param {Array<Uint8Array|Uint8ClampedArray>} samples - RGBA pixel buffers to learn from
+ * @param {number} [maxColors=256]
+ * @returns {Uint8Array} Palette as packed RGB triplets
+ */
+export function buildPalette(samples, maxColors = 256) {
+  // Histogram at 5 bits per channel keeps the boxes small and the result stable
+  const counts = new Map();
+  for (const rgba of samples) {
+    for (let i = 0; i < rgba.length; i += 4) {
+      const key = ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const colors = [];
+  for (const [key, count] of counts) {
+    colors.push({
+      r: ((key >> 10) & 31) * 8 + 4,
+      g: ((key >> 5) & 31) * 8 + 4,
+      b: (key & 31) * 8 + 4,
+      count
+    });
+  }
+
+  let boxes = [colors];
+
+  while (boxes.length < maxColors) {
+    // Split the box with the most pixels that can still be split
+    let target = -1;
+    let targetWeight = 0;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      const weight = box.reduce((sum, c) => sum + c.count, 0);
+      if (weight > targetWeight) {
+        targetWeight = weight;
+        target = index;
+      }
+    });
+    if (target < 0) break;
+
+    const box = boxes[target];
+    const channel = widestChannel(box);
+    box.sort((a, b) => a[channel] - b[channel]);
+
+    // Cut at the weighted median
+    let half = targetWeight / 2;
+    let cut = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      half -= box[i].count;
+      if (half <= 0) {
+        cut = i + 1;
+        break;
+      }
+    }
+
+    boxes.splice(target, 1, box.slice(0, cut), box.slice(cut));
+  }
+
+  boxes = boxes.filter(box => box.length > 0);
+
+  const palette = new Uint8Array(boxes.length * 3);
+  boxes.forEach((box, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let total = 0;
+    for (const c of box) {
+      r += c.r * c.count;
+      g += c.g * c.count;
+      b += c.b * c.count;
+      total += c.count;
+    }
+    palette[index * 3] = Math.round(r / total);
+    palette[index * 3 + 1] = Math.round(g / total);
+    palette[index * 3 + 2] = Math.round(b / total);
+  });
+
+  return palette;
+}
+
+function widestChannel(box) {
+  let best = 'r';
+  let bestRange = -1;
+  for (const channel of ['r', 'g', 'b']) {
+    let min = 255;
+    let max = 0;
+    for (const c of box) {
+      if (c[channel] < min) min = c[channel];
+      if (c[channel] > max) max = c[channel];
+    }
+    if (max - min > bestRange) {
+      bestRange = max - min;
+      best = channel;
+    }
+  }
+  return best;
+}
+
+/**
+ * Animated GIF built against one global palette
+ */
+export class GIFWriter {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {Uint8Array} options.palette - Packed RGB triplets (see buildPalette)
+   * @param {number} [options.loops=0] - Times to repeat (0 = forever)
+   */
+  constructor({ width, height, palette, loops = 0 }) {
+    this.width = width;
+    this.height = height;
+    this.loops = loops;
+
+    // The colour table must hold a power of two entries, at least 2
+    this.tableBits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+    this.palette = new Uint8Array(3 << this.tableBits);
+    this.palette.set(palette);
+    this.paletteSize = palette.length / 3;
+
+    // Nearest-colour lookups are cached per 5-bit colour
+    this.lookup = new Int16Array(1 << 15).fill(-1);
+
+    this.parts = [this._header()];
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, 4 bytes each
+   * @param {number} delay - How long to show the frame, in hundredths of a second
+   */
+  addFrame(rgba, delay) {
+    const indices = new Uint8Array(this.width * this.height);
+    for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+      indices[p] = this._nearest(rgba[i], rgba[i + 1], rgba[i + 2]);
+    }
+
+    // Graphic control extension: delay, no transparency, no disposal
+    const control = new Uint8Array([0x21, 0xf9, 0x04, 0x00, delay & 0xff, (delay >> 8) & 0xff, 0x00, 0x00]);
+
+    // Image descriptor: full frame, global colour table
+    const descriptor = new Uint8Array(10);
+    const view = new DataView(descriptor.buffer);
+    descriptor[0] = 0x2c;
+    view.setUint16(5, this.width, true);
+    view.setUint16(7, this.height, true);
+
+    const minCodeSize = Math.max(2, this.tableBits);
+    this.parts.push(control, descriptor, new Uint8Array([minCodeSize]), ...subBlocks(lzw(indices, minCodeSize)));
+  }
+
+  /**
+   * Assemble the finished file
+   */
+  finish() {
+    return new Blob([...this.parts, new Uint8Array([0x3b])], { type: 'image/gif' });
+  }
+
+  _header() {
+    const head = new TextEncoder().encode('GIF89a');
+    const screen = new Uint8Array(7);
+    const view = new DataView(screen.buffer);
+    view.setUint16(0, this.width, true);
+    view.setUint16(2, this.height, true);
+    screen[4] = 0xf0 | (this.tableBits - 1); // Global table, 8-bit colour resolution
+
+    // NETSCAPE2.0 application extension: loop count
+    const loop = new Uint8Array([
+      0x21, 0xff, 0x0b, ...new TextEncoder().encode('NETSCAPE2.0'),
+      0x03, 0x01, this.loops & 0xff, (this.loops >> 8) & 0xff, 0x00
+    ]);
+
+    const out = new Uint8Array(head.length + screen.length + this.palette.length + loop.length);
+    out.set(head, 0);
+    out.set(screen, head.length);
+    out.set(this.palette, head.length + screen.length);
+    out.set(loop, head.length + screen.length + this.palette.length);
+    return out;
+  }
+
+  _nearest(r, g, b) {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const cached = this.lookup[key];
+    if (cached >= 0) return cached;
+
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < this.paletteSize; i++) {
+      const dr = this.palette[i * 3] - r;
+      const dg = this.palette[i * 3 + 1] - g;
+      const db = this.palette[i * 3 + 2] - b;
+      const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+
+    this.lookup[key] = best;
+    return best;
+  }
+}
+
+/**
+ * Variable-width LZW as GIF specifies it, packed LSB first
+ */
+function lzw(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  const out = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  const write = (code, size) => {
+    buffer |= code << bufferBits;
+    bufferBits += size;
+    while (bufferBits >= 8) {
+      out.push(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  let dictionary = new Map();
+  let nextCode = endCode + 1;
+  let codeSize = minCodeSize + 1;
+
+  write(clearCode, codeSize);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i];
+    const key = (prefix << 8) | pixel;
+    const existing = dictionary.get(key);
+
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+
+    write(prefix, codeSize);
+
+    if (nextCode < 4096) {
+      dictionary.set(key, nextCode++);
+      if (nextCode > (1 << codeSize) && codeSize < 12) {
+        codeSize++;
+      }
+    } else {
+      // Table full: start over
+      write(clearCode, codeSize);
+      dictionary = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+
+    prefix = pixel;
+  }
+
+  write(prefix, codeSize);
+  write(endCode, codeSize);
+  if (bufferBits > 0) out.push(buffer & 0xff);
+
+  return new Uint8Array(out);
+}
+
+/**
+ * Split data into length-prefixed sub-blocks of at most 255 bytes
+ */
+function subBlocks(data) {
+  const blocks = [];
+  for (let i = 0; i < data.length; i += 255) {
+    const size = Math.min(255, data.length - i);
+    const block = new Uint8Array(size + 1);
+    block[0] = size;
+    block.set(data.subarray(i, i + size), 1);
+    blocks.push(block);
+  }
+  blocks.push(new Uint8Array([0]));
+  return blocks;
+}
@@ -1,19 +1,51 @@
 /**
- * Simple 32-bit hash function for deterministic edition generation
+ * String hashing for seeds and editions.
+ *
+ * hash53 is cyrb53: two 32-bit multiply-xorshift lanes mixed into a
+ * 53-bit result (the largest integer a double holds exactly). Every input
+ * bit affects every output bit, so `% n` over it is as even as a
+ * uniform draw; tools/edition-audit.mjs measures this.
+ *
+ * It is synchronous on purpose: SubtleCrypto's SHA-256 is async and
+ * missing on plain-http pages, and an edition or seed must come out the
+ * same wherever the page runs.
  */
-export function simpleHash(str) {
-  let hash = 0;
+
+const TWO_POW_32 = 4294967296;
+
+/**
+ * 53-bit hash of a string (an integer from 0 to 2^53 - 1)
+ * @param {string} str
+ * @param {number} [salt=0] - Different salts give independent hashes
+ */
+export function hash53(str, salt = 0) {
+  let h1 = 0xdeadbeef ^ salt;
+  let h2 = 0x41c6ce57 ^ salt;
+
   for (let i = 0; i < str.length; i++) {
     const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
   }
-  return Math.abs(hash);
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return TWO_POW_32 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * A whole number from 0 to n - 1, evenly spread, from a string
+ */
+export function hashToIndex(str, n) {
+  return hash53(str) % n;
 }
 
 /**
- * Generate a seed integer from a string
+ * Generate a 32-bit seed integer from a string (for RandomStream)
  */
 export function seedFromString(str) {
-  return simpleHash(str);
+  return hash53(str) % TWO_POW_32;
 }
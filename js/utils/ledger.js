@@ -0,0 +1,228 @@
+/**
+ * Curator ledger records: one per completed ritual, and their CSV/JSON
+ * file formats. Storage lives in controllers/Ledger.js.
+ *
+ * A record:
+ *   {
+ *     id: 'visitor/seed/completed',  // Same ritual, same id, on every machine
+ *     edition: 42,                   // null when the edition was sold out
+ *     visitor: '<visitor token>',
+ *     seed: '<session seed>',
+ *     completed: '2025-06-01T21:04:11Z',
+ *     palette: 'nocturne',
+ *     station: '<id of the machine that recorded it>',
+ *     thumbnail: 'data:image/jpeg;base64,...'
+ *   }
+ */
+
+export const LEDGER_FIELDS = ['id', 'edition', 'visitor', 'seed', 'completed', 'palette', 'station', 'thumbnail'];
+
+const LEDGER_FORMAT = 'stillbecoming-ledger';
+
+/**
+ * Build a record, filling in its id. Every field but the edition is kept
+ * as a string, whatever an imported file held.
+ */
+export function createLedgerEntry({ edition, visitor, seed, completed, palette, station, thumbnail }) {
+  const record = {
+    edition: Number.isInteger(edition) ? edition : null,
+    visitor: text(visitor),
+    seed: text(seed),
+    completed: text(completed),
+    palette: text(palette),
+    station: text(station),
+    thumbnail: typeof thumbnail === 'string' ? thumbnail : ''
+  };
+
+  return { id: `${record.visitor}/${record.seed}/${record.completed}`, ...record };
+}
+
+/**
+ * Records as CSV, one row per record, with a header row
+ */
+export function ledgerToCSV(entries) {
+  const rows = [LEDGER_FIELDS, ...entries.map(entry => LEDGER_FIELDS.map(field => entry[field]))];
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Records as a JSON document
+ */
+export function ledgerToJSON(entries) {
+  return JSON.stringify({ format: LEDGER_FORMAT, version: 1, entries }, null, 2);
+}
+
+/**
+ * Read records from a ledger file written by ledgerToCSV or ledgerToJSON.
+ * Rows without a visitor, seed or completion time, or with an edition that
+ * isn't a whole number above 0, are dropped with a warning.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Records
+ */
+export function parseLedger(text) {
+  const trimmed = text.trim();
+  const rows = trimmed.startsWith('{') || trimmed.startsWith('[')
+    ? ledgerRowsFromJSON(trimmed)
+    : ledgerRowsFromCSV(trimmed);
+
+  const entries = [];
+  for (const row of rows) {
+    if (!row || typeof row !== 'object' || !row.visitor || !row.seed || !row.completed) {
+      console.warn('Skipping ledger row without visitor, seed or completion time:', row);
+      continue;
+    }
+
+    const edition = row.edition === '' || row.edition === null || row.edition === undefined
+      ? null
+      : Number(row.edition);
+    if (edition !== null && !(Number.isInteger(edition) && edition > 0)) {
+      console.warn(`Skipping ledger row with edition "${row.edition}":`, row);
+      continue;
+    }
+
+    entries.push(createLedgerEntry({ ...row, edition }));
+  }
+
+  return entries;
+}
+
+/**
+ * Find editions issued more than once, and editions never issued
+ * between 1 and the highest one issued
+ * @param {Array<Object>} entries - Records
+ * @returns {Object} { duplicates: Map edition -> records, gaps: [edition], highest, unnumbered }
+ */
+export function auditLedger(entries) {
+  const byEdition = new Map();
+  let unnumbered = 0;
+
+  for (const entry of entries) {
+    if (entry.edition === null) {
+      unnumbered++;
+      continue;
+    }
+    if (!byEdition.has(entry.edition)) {
+      byEdition.set(entry.edition, []);
+    }
+    byEdition.get(entry.edition).push(entry);
+  }
+
+  // A visitor completing the ritual again keeps their edition; only
+  // different visitors on one number are duplicates
+  const duplicates = new Map();
+  for (const [edition, records] of byEdition) {
+    const visitors = new Set(records.map(record => record.visitor));
+    if (visitors.size > 1) {
+      duplicates.set(edition, records);
+    }
+  }
+
+  const highest = byEdition.size > 0 ? Math.max(...byEdition.keys()) : 0;
+  const gaps = [];
+  for (let edition = 1; edition <= highest; edition++) {
+    if (!byEdition.has(edition)) gaps.push(edition);
+  }
+
+  return { duplicates, gaps, highest, unnumbered };
+}
+
+/**
+ * Collapse a sorted list of numbers into ranges, e.g. [4, 7, 8, 9] -> '4, 7–9'
+ */
+export function formatRanges(numbers) {
+  const ranges = [];
+
+  for (const n of numbers) {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) {
+      last[1] = n;
+    } else {
+      ranges.push([n, n]);
+    }
+  }
+
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}–${end}`)).join(', ');
+}
+
+function ledgerRowsFromJSON(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+
+  if (data.format !== LEDGER_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error('Not a stillbecoming ledger');
+  }
+  return data.entries;
+}
+
+function ledgerRowsFromCSV(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header || !header.includes('visitor') || !header.includes('seed')) {
+    throw new Error('CSV has no ledger header row');
+  }
+
+  return rows
+    .filter(cells => cells.some(cell => cell !== ''))
+    .map(cells => Object.fromEntries(header.map((field, i) => [field, csvValue(cells[i] ?? '')])));
+}
+
+/**
+ * RFC 4180 CSV: quoted cells may hold commas, quotes ("") and line breaks
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
+
+function text(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// Undo the quote csvCell puts before cells spreadsheets would run as formulas
+function csvValue(cell) {
+  return /^'[=+\-@]/.test(cell) ? cell.slice(1) : cell;
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
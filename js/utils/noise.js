@@ -0,0 +1,262 @@
+/**
+ * Seeded simplex noise in 2, 3 and 4 dimensions
+ * Based on Stefan Gustavson's reference implementation
+ */
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+const F4 = (Math.sqrt(5) - 1) / 4;
+const G4 = (5 - Math.sqrt(5)) / 20;
+
+const GRAD3 = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+const GRAD4 = [
+  [0, 1, 1, 1], [0, 1, 1, -1], [0, 1, -1, 1], [0, 1, -1, -1],
+  [0, -1, 1, 1], [0, -1, 1, -1], [0, -1, -1, 1], [0, -1, -1, -1],
+  [1, 0, 1, 1], [1, 0, 1, -1], [1, 0, -1, 1], [1, 0, -1, -1],
+  [-1, 0, 1, 1], [-1, 0, 1, -1], [-1, 0, -1, 1], [-1, 0, -1, -1],
+  [1, 1, 0, 1], [1, 1, 0, -1], [1, -1, 0, 1], [1, -1, 0, -1],
+  [-1, 1, 0, 1], [-1, 1, 0, -1], [-1, -1, 0, 1], [-1, -1, 0, -1],
+  [1, 1, 1, 0], [1, 1, -1, 0], [1, -1, 1, 0], [1, -1, -1, 0],
+  [-1, 1, 1, 0], [-1, 1, -1, 0], [-1, -1, 1, 0], [-1, -1, -1, 0]
+];
+
+/**
+ * Noise field whose permutation table is shuffled from a seeded stream.
+ * All samples return values in the range -1 to 1.
+ */
+export class SimplexNoise {
+  constructor(random) {
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+      p[i] = i;
+    }
+
+    // Fisher-Yates shuffle driven by the seeded stream
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random.rand() * (i + 1));
+      const tmp = p[i];
+      p[i] = p[j];
+      p[j] = tmp;
+    }
+
+    this.perm = new Uint8Array(512);
+    this.permMod12 = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = p[i & 255];
+      this.permMod12[i] = this.perm[i] % 12;
+    }
+  }
+
+  /**
+   * Sample 2D noise
+   */
+  noise2D(x, y) {
+    const perm = this.perm;
+    const permMod12 = this.permMod12;
+
+    // Skew input space to find the simplex cell
+    const s = (x + y) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const t = (i + j) * G2;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+
+    // Which of the two triangles we're in
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = x0 > y0 ? 0 : 1;
+
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const y2 = y0 - 1 + 2 * G2;
+
+    const ii = i & 255;
+    const jj = j & 255;
+
+    let n = 0;
+
+    let t0 = 0.5 - x0 * x0 - y0 * y0;
+    if (t0 > 0) {
+      const g = GRAD3[permMod12[ii + perm[jj]]];
+      t0 *= t0;
+      n += t0 * t0 * (g[0] * x0 + g[1] * y0);
+    }
+
+    let t1 = 0.5 - x1 * x1 - y1 * y1;
+    if (t1 > 0) {
+      const g = GRAD3[permMod12[ii + i1 + perm[jj + j1]]];
+      t1 *= t1;
+      n += t1 * t1 * (g[0] * x1 + g[1] * y1);
+    }
+
+    let t2 = 0.5 - x2 * x2 - y2 * y2;
+    if (t2 > 0) {
+      const g = GRAD3[permMod12[ii + 1 + perm[jj + 1]]];
+      t2 *= t2;
+      n += t2 * t2 * (g[0] * x2 + g[1] * y2);
+    }
+
+    return 70 * n;
+  }
+
+  /**
+   * Sample 3D noise
+   */
+  noise3D(x, y, z) {
+    const perm = this.perm;
+    const permMod12 = this.permMod12;
+
+    const s = (x + y + z) * F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * G3;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+
+    // Determine which of the six tetrahedra we're in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) {
+        i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+      } else if (x0 >= z0) {
+        i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1;
+      } else {
+        i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1;
+      }
+    } else {
+      if (y0 < z0) {
+        i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1;
+      } else if (x0 < z0) {
+        i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1;
+      } else {
+        i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+      }
+    }
+
+    const x1 = x0 - i1 + G3;
+    const y1 = y0 - j1 + G3;
+    const z1 = z0 - k1 + G3;
+    const x2 = x0 - i2 + 2 * G3;
+    const y2 = y0 - j2 + 2 * G3;
+    const z2 = z0 - k2 + 2 * G3;
+    const x3 = x0 - 1 + 3 * G3;
+    const y3 = y0 - 1 + 3 * G3;
+    const z3 = z0 - 1 + 3 * G3;
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+
+    const corners = [
+      [x0, y0, z0, permMod12[ii + perm[jj + perm[kk]]]],
+      [x1, y1, z1, permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]]],
+      [x2, y2, z2, permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]]],
+      [x3, y3, z3, permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]]]
+    ];
+
+    let n = 0;
+    for (const [cx, cy, cz, gi] of corners) {
+      let tc = 0.6 - cx * cx - cy * cy - cz * cz;
+      if (tc > 0) {
+        const g = GRAD3[gi];
+        tc *= tc;
+        n += tc * tc * (g[0] * cx + g[1] * cy + g[2] * cz);
+      }
+    }
+
+    return 32 * n;
+  }
+
+  /**
+   * Sample 4D noise (useful for seamless loops: walk a circle in two axes)
+   */
+  noise4D(x, y, z, w) {
+    const perm = this.perm;
+
+    const s = (x + y + z + w) * F4;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const l = Math.floor(w + s);
+    const t = (i + j + k + l) * G4;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+    const w0 = w - (l - t);
+
+    // Rank the coordinates to find the simplex traversal order
+    let rankx = 0;
+    let ranky = 0;
+    let rankz = 0;
+    let rankw = 0;
+    if (x0 > y0) rankx++; else ranky++;
+    if (x0 > z0) rankx++; else rankz++;
+    if (x0 > w0) rankx++; else rankw++;
+    if (y0 > z0) ranky++; else rankz++;
+    if (y0 > w0) ranky++; else rankw++;
+    if (z0 > w0) rankz++; else rankw++;
+
+    const i1 = rankx >= 3 ? 1 : 0;
+    const j1 = ranky >= 3 ? 1 : 0;
+    const k1 = rankz >= 3 ? 1 : 0;
+    const l1 = rankw >= 3 ? 1 : 0;
+    const i2 = rankx >= 2 ? 1 : 0;
+    const j2 = ranky >= 2 ? 1 : 0;
+    const k2 = rankz >= 2 ? 1 : 0;
+    const l2 = rankw >= 2 ? 1 : 0;
+    const i3 = rankx >= 1 ? 1 : 0;
+    const j3 = ranky >= 1 ? 1 : 0;
+    const k3 = rankz >= 1 ? 1 : 0;
+    const l3 = rankw >= 1 ? 1 : 0;
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+    const ll = l & 255;
+
+    const offsets = [
+      [0, 0, 0, 0],
+      [i1, j1, k1, l1],
+      [i2, j2, k2, l2],
+      [i3, j3, k3, l3],
+      [1, 1, 1, 1]
+    ];
+
+    let n = 0;
+    for (let c = 0; c < 5; c++) {
+      const [oi, oj, ok, ol] = offsets[c];
+      const cx = x0 - oi + c * G4;
+      const cy = y0 - oj + c * G4;
+      const cz = z0 - ok + c * G4;
+      const cw = w0 - ol + c * G4;
+
+      let tc = 0.6 - cx * cx - cy * cy - cz * cz - cw * cw;
+      if (tc > 0) {
+        const g = GRAD4[perm[ii + oi + perm[jj + oj + perm[kk + ok + perm[ll + ol]]]] % 32];
+        tc *= tc;
+        n += tc * tc * (g[0] * cx + g[1] * cy + g[2] * cz + g[3] * cw);
+      }
+    }
+
+    return 27 * n;
+  }
+
+  /**
+   * Sample 2D noise that drifts around a closed path as `phase` goes 0 -> 1.
+   * Phase 0 and phase 1 give the same value, so animations built on it loop seamlessly.
+   */
+  loop2D(x, y, phase, radius = 1) {
+    const angle = phase * Math.PI * 2;
+    return this.noise4D(x, y, Math.cos(angle) * radius, Math.sin(angle) * radius);
+  }
+}
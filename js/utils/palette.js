@@ -0,0 +1,256 @@
+/**
+ * Named palettes and per-edition palette selection.
+ *
+ * Systems never use colour names, only these roles:
+ *   background  the ground everything is drawn on
+ *   ink         the main linework and particles
+ *   shade       deep secondary marks (construction lines, cells, stains)
+ *   accent      the warm/odd colour (circle sets, fragments, glitch flecks)
+ *   highlight   the strongest mark against the background (grid, text)
+ *   grain       paper grain and pixel noise
+ *
+ * Each edition's palette is drawn from its seed, weighted by `weight`,
+ * unless ?palette=<name> overrides it. Palettes whose ink doesn't stand
+ * out from the background (see CONFIG.palette.minContrast) are never used.
+ *
+ * Any palette can also be shown in 'paper' mode (drafting paper): a light
+ * ground with the palette's colours darkened into inks. The mode is a
+ * viewing choice per session, not part of the edition.
+ */
+
+export const PALETTES = {
+  nocturne: {
+    label: 'Nocturne',
+    weight: 5,
+    colors: {
+      background: { r: 28, g: 28, b: 31 },
+      ink: { r: 147, g: 129, b: 255 },
+      shade: { r: 23, g: 22, b: 100 },
+      accent: { r: 224, g: 202, b: 60 },
+      highlight: { r: 249, g: 249, b: 254 },
+      grain: { r: 249, g: 249, b: 254 }
+    }
+  },
+  vellum: {
+    label: 'Vellum',
+    weight: 2,
+    colors: {
+      background: { r: 236, g: 229, b: 214 },
+      ink: { r: 38, g: 52, b: 110 },
+      shade: { r: 150, g: 158, b: 196 },
+      accent: { r: 196, g: 78, b: 48 },
+      highlight: { r: 28, g: 28, b: 31 },
+      grain: { r: 92, g: 80, b: 62 }
+    }
+  },
+  cyanotype: {
+    label: 'Cyanotype',
+    weight: 2,
+    colors: {
+      background: { r: 16, g: 42, b: 84 },
+      ink: { r: 220, g: 232, b: 240 },
+      shade: { r: 58, g: 98, b: 150 },
+      accent: { r: 130, g: 190, b: 220 },
+      highlight: { r: 250, g: 250, b: 250 },
+      grain: { r: 220, g: 232, b: 240 }
+    }
+  },
+  ember: {
+    label: 'Ember',
+    weight: 1,
+    colors: {
+      background: { r: 22, g: 16, b: 14 },
+      ink: { r: 232, g: 120, b: 60 },
+      shade: { r: 96, g: 34, b: 26 },
+      accent: { r: 250, g: 210, b: 120 },
+      highlight: { r: 250, g: 240, b: 230 },
+      grain: { r: 250, g: 240, b: 230 }
+    }
+  }
+};
+
+export const DEFAULT_PALETTE = 'nocturne';
+
+export const PALETTE_ROLES = ['background', 'ink', 'shade', 'accent', 'highlight', 'grain'];
+
+export const DISPLAY_MODES = ['dark', 'paper'];
+
+// Off-white drafting paper and the dark fibres in it
+const PAPER = { r: 246, g: 244, b: 238 };
+const PAPER_FIBRE = { r: 74, g: 66, b: 56 };
+
+const MODE_STORAGE_KEY = 'stillbecoming_display_mode';
+
+/**
+ * Choose the edition's palette: ?palette=<name>, otherwise a weighted pick
+ * from the seed's 'palette' trait. Invalid palettes are skipped with a warning.
+ * @param {SeedManager} seedManager
+ * @param {number} minContrast - Lowest acceptable ink/background contrast ratio
+ * @param {string} [search] - Query string to read ?palette= from
+ * @returns {Object} { name, label, colors }
+ */
+export function resolvePalette(seedManager, minContrast, search = window.location.search) {
+  const requested = new URLSearchParams(search).get('palette');
+
+  if (requested) {
+    if (!PALETTES[requested]) {
+      console.warn(`Unknown palette "${requested}"; choosing by seed. Palettes: ${Object.keys(PALETTES).join(', ')}`);
+    } else {
+      const problem = checkPalette(PALETTES[requested], minContrast);
+      if (problem) {
+        console.warn(`Palette "${requested}" rejected: ${problem}. Choosing by seed.`);
+      } else {
+        return paletteEntry(requested);
+      }
+    }
+  }
+
+  const usable = Object.keys(PALETTES).filter(name => {
+    const problem = checkPalette(PALETTES[name], minContrast);
+    if (problem) {
+      console.warn(`Palette "${name}" rejected: ${problem}.`);
+    }
+    return !problem;
+  });
+
+  if (usable.length === 0) {
+    throw new Error('No palette passes the contrast check');
+  }
+
+  // Weighted pick along the cumulative weights
+  const total = usable.reduce((sum, name) => sum + PALETTES[name].weight, 0);
+  let pick = seedManager.trait('palette') * total;
+
+  for (const name of usable) {
+    pick -= PALETTES[name].weight;
+    if (pick < 0) return paletteEntry(name);
+  }
+
+  return paletteEntry(usable[usable.length - 1]);
+}
+
+/**
+ * The session's display mode: ?mode=dark|paper, otherwise the last mode
+ * chosen in this tab, otherwise 'dark'
+ * @param {string} [search] - Query string to read ?mode= from
+ * @returns {string} 'dark' or 'paper'
+ */
+export function resolveDisplayMode(search = window.location.search) {
+  const requested = new URLSearchParams(search).get('mode');
+
+  if (requested) {
+    if (DISPLAY_MODES.includes(requested)) {
+      return requested;
+    }
+    console.warn(`Unknown mode "${requested}". Modes: ${DISPLAY_MODES.join(', ')}`);
+  }
+
+  try {
+    const stored = sessionStorage.getItem(MODE_STORAGE_KEY);
+    if (DISPLAY_MODES.includes(stored)) return stored;
+  } catch (e) {
+    // Storage can be unavailable (private windows, file://)
+  }
+
+  return 'dark';
+}
+
+/**
+ * Remember the display mode for the rest of the session
+ */
+export function storeDisplayMode(mode) {
+  try {
+    sessionStorage.setItem(MODE_STORAGE_KEY, mode);
+  } catch (e) {
+    console.warn('Could not remember display mode:', e.message);
+  }
+}
+
+/**
+ * A palette's colours for the given display mode. Dark mode is the palette
+ * as designed; paper mode puts it on off-white paper, darkening ink until it
+ * meets `minContrast` and accents until they read, with the palette's
+ * darkest extreme as the highlight and dark fibres as grain.
+ * @param {Object} colors - Palette colours by role
+ * @param {string} mode - 'dark' or 'paper'
+ * @param {number} minContrast - Lowest acceptable ink/paper contrast ratio
+ */
+export function colorsForMode(colors, mode, minContrast) {
+  if (mode !== 'paper') return colors;
+
+  const darkest = relativeLuminance(colors.background) < relativeLuminance(colors.highlight)
+    ? colors.background
+    : colors.highlight;
+
+  return {
+    background: PAPER,
+    ink: darkenToContrast(colors.ink, PAPER, minContrast),
+    shade: colors.shade,
+    accent: darkenToContrast(colors.accent, PAPER, 2),
+    highlight: darkest,
+    grain: PAPER_FIBRE
+  };
+}
+
+/**
+ * Why a palette can't be used, or null if it can
+ * @param {Object} palette - Entry of PALETTES
+ * @param {number} minContrast - Lowest acceptable ink/background contrast ratio
+ */
+export function checkPalette(palette, minContrast) {
+  const missing = PALETTE_ROLES.filter(role => !palette.colors[role]);
+  if (missing.length > 0) {
+    return `missing roles ${missing.join(', ')}`;
+  }
+
+  const ratio = contrastRatio(palette.colors.ink, palette.colors.background);
+  if (ratio < minContrast) {
+    return `ink on background contrast is ${ratio.toFixed(2)}:1, below ${minContrast}:1`;
+  }
+
+  return null;
+}
+
+/**
+ * WCAG contrast ratio between two colours (1 to 21)
+ */
+export function contrastRatio(a, b) {
+  const la = relativeLuminance(a);
+  const lb = relativeLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * WCAG relative luminance of an sRGB colour (0 to 1)
+ */
+export function relativeLuminance({ r, g, b }) {
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * A colour with every channel multiplied by `factor` (0-1 darkens)
+ */
+export function scaleColor({ r, g, b }, factor) {
+  return { r: r * factor, g: g * factor, b: b * factor };
+}
+
+/**
+ * `color` darkened in small steps until its contrast with `against` reaches `ratio`
+ */
+function darkenToContrast(color, against, ratio) {
+  let factor = 1;
+  while (factor > 0 && contrastRatio(scaleColor(color, factor), against) < ratio) {
+    factor -= 0.05;
+  }
+  return scaleColor(color, Math.max(factor, 0));
+}
+
+function paletteEntry(name) {
+  const { label, colors } = PALETTES[name];
+  return { name, label, colors };
+}
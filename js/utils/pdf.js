@@ -0,0 +1,266 @@
+/**
+ * Minimal PDF writer: pages with text in the standard Courier fonts,
+ * lines, rectangles and JPEG images. Enough for certificates; no font
+ * embedding, so text is limited to the Windows-1252 character set.
+ *
+ * Coordinates are PDF points (1/72 inch) from the page's bottom-left.
+ */
+
+export const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  Letter: { width: 612, height: 792 }
+};
+
+// Standard 14 fonts this writer knows the metrics of (all glyphs are 600/1000 em)
+const FONTS = {
+  Courier: 'F1',
+  'Courier-Bold': 'F2',
+  'Courier-Oblique': 'F3'
+};
+
+// Unicode characters Windows-1252 places in 0x80-0x9F
+const WIN_ANSI = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+  0x2021: 0x87, 0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c,
+  0x017d: 0x8e, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95,
+  0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98, 0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b,
+  0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+};
+
+/**
+ * Width of a string set in Courier at `size` points
+ */
+export function textWidth(text, size) {
+  return [...text].length * 0.6 * size;
+}
+
+/**
+ * One page's drawing operations
+ */
+export class PDFPage {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.ops = [];
+    this.images = new Set();
+  }
+
+  /**
+   * Draw text with its baseline at y
+   * @param {Object} [options]
+   * @param {string} [options.font='Courier'] - 'Courier', 'Courier-Bold' or 'Courier-Oblique'
+   * @param {number} [options.size=10] - Points
+   * @param {Object} [options.color] - { r, g, b } 0-255
+   * @param {string} [options.align='left'] - 'left', 'center' or 'right' of x
+   */
+  text(x, y, text, { font = 'Courier', size = 10, color = BLACK, align = 'left' } = {}) {
+    const fontName = FONTS[font];
+    if (!fontName) {
+      throw new Error(`Unknown PDF font "${font}"`);
+    }
+
+    const width = textWidth(text, size);
+    const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+
+    this.ops.push(
+      'BT',
+      fillColor(color),
+      `/${fontName} ${num(size)} Tf`,
+      `${num(left)} ${num(y)} Td`,
+      `(${escapeText(text)}) Tj`,
+      'ET'
+    );
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, color = BLACK } = {}) {
+    this.ops.push(
+      `${strokeColor(color)} ${num(width)} w`,
+      `${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`
+    );
+  }
+
+  /**
+   * Outline (and optionally fill) a rectangle whose bottom-left is x, y
+   */
+  rect(x, y, width, height, { stroke = BLACK, strokeWidth = 0.5, fill = null } = {}) {
+    const path = `${num(x)} ${num(y)} ${num(width)} ${num(height)} re`;
+
+    if (fill && stroke) {
+      this.ops.push(`${fillColor(fill)} ${strokeColor(stroke)} ${num(strokeWidth)} w`, `${path} B`);
+    } else if (fill) {
+      this.ops.push(fillColor(fill), `${path} f`);
+    } else {
+      this.ops.push(`${strokeColor(stroke)} ${num(strokeWidth)} w`, `${path} S`);
+    }
+  }
+
+  /**
+   * Place a JPEG, stretched to width x height, bottom-left at x, y
+   * @param {Object} image - Returned by PDFWriter.addJPEG
+   */
+  image(image, x, y, width, height) {
+    this.images.add(image);
+    this.ops.push('q', `${num(width)} 0 0 ${num(height)} ${num(x)} ${num(y)} cm`, `/${image.name} Do`, 'Q');
+  }
+}
+
+/**
+ * Collects pages and images, then writes the PDF file
+ */
+export class PDFWriter {
+  /**
+   * @param {Object} [info] - Document information (Title, Author, Subject, Creator...)
+   */
+  constructor(info = {}) {
+    this.info = info;
+    this.pages = [];
+    this.images = [];
+  }
+
+  /**
+   * Start a new page
+   * @returns {PDFPage}
+   */
+  addPage({ width, height } = PAGE_SIZES.A4) {
+    const page = new PDFPage(width, height);
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Register a baseline JPEG for use on any page
+   * @param {Uint8Array} bytes - JPEG file
+   * @param {number} width - Pixels
+   * @param {number} height - Pixels
+   */
+  addJPEG(bytes, width, height) {
+    const image = { name: `Im${this.images.length + 1}`, bytes, width, height };
+    this.images.push(image);
+    return image;
+  }
+
+  /**
+   * Write the document
+   * @returns {Blob} application/pdf
+   */
+  finish() {
+    // Object numbers: 1 catalog, 2 page tree, 3 info, then fonts, images, pages
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const infoId = add(infoDictionary(this.info));
+
+    const fontIds = {};
+    for (const [font, name] of Object.entries(FONTS)) {
+      fontIds[name] = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`);
+    }
+
+    const imageIds = new Map();
+    for (const image of this.images) {
+      imageIds.set(image, add([
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+        image.bytes,
+        '\nendstream'
+      ]));
+    }
+
+    const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+    const pageIds = this.pages.map((page) => {
+      const content = encodeText(page.ops.join('\n'));
+      const contentId = add([`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream']);
+      const xObjects = [...page.images].map(image => `/${image.name} ${imageIds.get(image)} 0 R`).join(' ');
+
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+        `/Resources << /Font << ${fontResources} >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+        `/Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    // Serialise, noting where each object starts for the cross-reference table
+    const parts = [];
+    let length = 0;
+    const write = (part) => {
+      const bytes = typeof part === 'string' ? encodeText(part) : part;
+      parts.push(bytes);
+      length += bytes.length;
+    };
+
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])); // Binary marker comment
+
+    const offsets = objects.map((body, i) => {
+      const offset = length;
+      write(`${i + 1} 0 obj\n`);
+      for (const piece of Array.isArray(body) ? body : [body]) write(piece);
+      write('\nendobj\n');
+      return offset;
+    });
+
+    const xrefOffset = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    write(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+    write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`);
+    write(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+  }
+}
+
+const BLACK = { r: 0, g: 0, b: 0 };
+
+function infoDictionary(info) {
+  const entries = Object.entries({ Producer: 'stillbecoming', ...info })
+    .map(([key, value]) => `/${key} (${escapeText(String(value))})`);
+  entries.push(`/CreationDate (${pdfDate(new Date())})`);
+  return `<< ${entries.join(' ')} >>`;
+}
+
+function pdfDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function fillColor({ r, g, b }) {
+  return `${num(r / 255)} ${num(g / 255)} ${num(b / 255)} rg`;
+}
+
+function strokeColor({ r, g, b }) {
+  return `${num(r / 255)} ${num(g / 255)} ${num(b / 255)} RG`;
+}
+
+// PDF string literal: escape delimiters, leave Windows-1252 bytes as they are
+function escapeText(text) {
+  return text.replace(/[\\()]/g, char => `\\${char}`).replace(/[\r\n]/g, ' ');
+}
+
+// Strings to Windows-1252 bytes; anything outside it becomes '?'
+function encodeText(text) {
+  const bytes = new Uint8Array(text.length);
+  let length = 0;
+
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) {
+      bytes[length++] = code;
+    } else {
+      bytes[length++] = WIN_ANSI[code] || 0x3f;
+    }
+  }
+
+  return bytes.subarray(0, length);
+}
+
+function num(value) {
+  return Number(value.toFixed(3)).toString();
+}
@@ -0,0 +1,384 @@
+/**
+ * Pen-plotter output: turns vector primitives into polylines per pen,
+ * hatches translucent fills, orders strokes to cut pen-up travel, and
+ * writes HPGL or G-code in millimetres.
+ *
+ * PlotterRecorder has the same drawing interface as SVGGroup (utils/svg.js),
+ * so a scene (render/DrawList.js) can be replayed straight into it.
+ */
+
+/**
+ * Paper sizes in millimetres, portrait [width, height]
+ */
+export const PAPER_SIZES = {
+  A5: [148, 210],
+  A4: [210, 297],
+  A3: [297, 420],
+  letter: [215.9, 279.4],
+  tabloid: [279.4, 431.8]
+};
+
+const HPGL_UNITS_PER_MM = 40;
+
+export class PlotterRecorder {
+  /**
+   * @param {Object} pens - Palette entries to plot, keyed by pen name ({ twilight: { r, g, b }, ... })
+   * @param {Object} options
+   * @param {number} options.penWidth - Pen line width, in drawing units
+   * @param {number} [options.hatchAngle=45] - Hatch direction in degrees
+   */
+  constructor(pens, { penWidth, hatchAngle = 45 }) {
+    this.pens = pens;
+    this.penWidth = penWidth;
+    this.hatchAngle = hatchAngle * Math.PI / 180;
+
+    // Pen name -> array of polylines ([{ x, y }, ...])
+    this.layers = new Map();
+  }
+
+  /**
+   * Layers don't matter to a plotter; everything lands on its pen
+   */
+  group() {
+    return this;
+  }
+
+  circle(cx, cy, r, style = {}) {
+    this._fill(style, () => hatchCircle(cx, cy, r, this._hatchSpacing(style.fillOpacity), this.hatchAngle));
+
+    this._stroke(style, () => {
+      // Enough segments that chords stay within about a pen width of the true circle
+      const segments = Math.max(24, Math.ceil(Math.PI / Math.acos(Math.max(-1, 1 - this.penWidth / Math.max(r, 1e-9)))));
+      const points = [];
+      for (let i = 0; i <= segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        points.push({ x: cx + Math.cos(angle) * r, y: cy + Math.sin(angle) * r });
+      }
+      return [points];
+    });
+  }
+
+  line(x1, y1, x2, y2, style = {}) {
+    this._stroke(style, () => [[{ x: x1, y: y1 }, { x: x2, y: y2 }]]);
+  }
+
+  polyline(points, style = {}) {
+    if (points.length < 2) return;
+    this._stroke(style, () => [points.map(pt => ({ x: pt.x, y: pt.y }))]);
+  }
+
+  rect(x, y, width, height, style = {}) {
+    const corners = [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height }
+    ];
+
+    this._fill(style, () => hatchPolygon(corners, this._hatchSpacing(style.fillOpacity), this.hatchAngle));
+    this._stroke(style, () => [[...corners, corners[0]]]);
+  }
+
+  /**
+   * Text is left to the SVG and raster exports
+   */
+  text() {}
+
+  _hatchSpacing(opacity = 1) {
+    // Pen coverage (width / spacing) approximates the fill's opacity
+    const coverage = Math.min(1, Math.max(0.05, opacity));
+    return this.penWidth / coverage;
+  }
+
+  _fill(style, buildPaths) {
+    const pen = style.fill && this._penFor(style.fill);
+    if (pen) this._add(pen, buildPaths());
+  }
+
+  _stroke(style, buildPaths) {
+    const pen = style.stroke && this._penFor(style.stroke);
+    if (pen) this._add(pen, buildPaths());
+  }
+
+  _penFor(color) {
+    for (const [name, pen] of Object.entries(this.pens)) {
+      if (pen.r === color.r && pen.g === color.g && pen.b === color.b) return name;
+    }
+    return null;
+  }
+
+  _add(pen, paths) {
+    if (!this.layers.has(pen)) {
+      this.layers.set(pen, []);
+    }
+    this.layers.get(pen).push(...paths);
+  }
+}
+
+/**
+ * Parallel hatch lines clipped to a circle
+ */
+export function hatchCircle(cx, cy, r, spacing, angle) {
+  const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+  const normal = { x: -dir.y, y: dir.x };
+  const paths = [];
+
+  for (let d = -r + spacing / 2; d < r; d += spacing) {
+    const half = Math.sqrt(r * r - d * d);
+    const mx = cx + normal.x * d;
+    const my = cy + normal.y * d;
+    paths.push([
+      { x: mx - dir.x * half, y: my - dir.y * half },
+      { x: mx + dir.x * half, y: my + dir.y * half }
+    ]);
+  }
+
+  return paths;
+}
+
+/**
+ * Parallel hatch lines clipped to a convex polygon
+ */
+export function hatchPolygon(vertices, spacing, angle) {
+  const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+  const normal = { x: -dir.y, y: dir.x };
+
+  const offsets = vertices.map(v => v.x * normal.x + v.y * normal.y);
+  const min = Math.min(...offsets);
+  const max = Math.max(...offsets);
+  const paths = [];
+
+  for (let d = min + spacing / 2; d < max; d += spacing) {
+    // Where the line at offset d crosses each edge, measured along the hatch direction
+    const hits = [];
+    for (let i = 0; i < vertices.length; i++) {
+      const a = vertices[i];
+      const b = vertices[(i + 1) % vertices.length];
+      const da = offsets[i] - d;
+      const db = offsets[(i + 1) % vertices.length] - d;
+      if ((da < 0) === (db < 0) || da === db) continue;
+
+      const t = da / (da - db);
+      const x = a.x + (b.x - a.x) * t;
+      const y = a.y + (b.y - a.y) * t;
+      hits.push({ x, y, along: x * dir.x + y * dir.y });
+    }
+
+    if (hits.length < 2) continue;
+    hits.sort((p, q) => p.along - q.along);
+    const first = hits[0];
+    const last = hits[hits.length - 1];
+    paths.push([{ x: first.x, y: first.y }, { x: last.x, y: last.y }]);
+  }
+
+  return paths;
+}
+
+/**
+ * Clip polylines to the square |x|, |y| <= half (the artwork's frame),
+ * splitting them where they leave and re-enter it
+ */
+export function clipToSquare(paths, half) {
+  const clipped = [];
+
+  for (const path of paths) {
+    let current = null;
+
+    for (let i = 1; i < path.length; i++) {
+      const segment = clipSegment(path[i - 1], path[i], half);
+
+      if (!segment) {
+        current = null;
+        continue;
+      }
+
+      const [a, b] = segment;
+      if (!current || distanceSquared(current[current.length - 1], a) > 1e-12) {
+        current = [a];
+        clipped.push(current);
+      }
+      current.push(b);
+    }
+  }
+
+  return clipped;
+}
+
+/**
+ * Liang-Barsky clip of one segment against the square
+ */
+function clipSegment(a, b, half) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+
+  const edges = [
+    [-dx, a.x + half],
+    [dx, half - a.x],
+    [-dy, a.y + half],
+    [dy, half - a.y]
+  ];
+
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return null;
+      if (t > t0) t0 = t;
+    } else {
+      if (t < t0) return null;
+      if (t < t1) t1 = t;
+    }
+  }
+
+  return [
+    { x: a.x + dx * t0, y: a.y + dy * t0 },
+    { x: a.x + dx * t1, y: a.y + dy * t1 }
+  ];
+}
+
+/**
+ * Greedy nearest-neighbour ordering: always draw next whichever path
+ * starts (or, reversed, ends) closest to the pen. Returns new arrays.
+ */
+export function optimizeTravel(paths, start = { x: 0, y: 0 }) {
+  const remaining = paths.filter(path => path.length > 1);
+  const ordered = [];
+  let pen = start;
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestReversed = false;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const path = remaining[i];
+      const toStart = distanceSquared(pen, path[0]);
+      const toEnd = distanceSquared(pen, path[path.length - 1]);
+
+      if (toStart < bestDistance) {
+        bestDistance = toStart;
+        bestIndex = i;
+        bestReversed = false;
+      }
+      if (toEnd < bestDistance) {
+        bestDistance = toEnd;
+        bestIndex = i;
+        bestReversed = true;
+      }
+    }
+
+    const [path] = remaining.splice(bestIndex, 1);
+    const next = bestReversed ? [...path].reverse() : path;
+    ordered.push(next);
+    pen = next[next.length - 1];
+  }
+
+  return ordered;
+}
+
+/**
+ * Scale square artwork of `size` drawing units (centred on the origin)
+ * to fit the paper inside the margins, in millimetres from the top-left corner
+ * @returns {{ scale: number, transform: Function }}
+ */
+export function fitToPaper(size, paper, margin) {
+  const [width, height] = paper;
+  const side = Math.min(width, height) - margin * 2;
+  if (side <= 0) {
+    throw new Error(`Margin of ${margin}mm leaves no room on ${width}x${height}mm paper`);
+  }
+
+  const scale = side / size;
+  const transform = (path) => path.map(pt => ({
+    x: width / 2 + pt.x * scale,
+    y: height / 2 + pt.y * scale
+  }));
+
+  return { scale, transform };
+}
+
+/**
+ * Total pen-up travel of an ordered path list, in the paths' units
+ */
+export function travelDistance(paths, start = { x: 0, y: 0 }) {
+  let pen = start;
+  let total = 0;
+  for (const path of paths) {
+    total += Math.sqrt(distanceSquared(pen, path[0]));
+    pen = path[path.length - 1];
+  }
+  return total;
+}
+
+/**
+ * HPGL for one pen. Paths are in millimetres from the paper's top-left;
+ * HPGL's origin is bottom-left, so y is flipped.
+ */
+export function toHPGL(paths, { paper, pen = 1 }) {
+  const height = paper[1];
+  const coord = (pt) => `${Math.round(pt.x * HPGL_UNITS_PER_MM)},${Math.round((height - pt.y) * HPGL_UNITS_PER_MM)}`;
+
+  const lines = ['IN;', `SP${pen};`];
+  let last = null;
+
+  for (const path of paths) {
+    // Continue without lifting when the next path starts where the last ended
+    const joined = last && distanceSquared(last, path[0]) < 1e-6;
+    if (!joined) {
+      lines.push(`PU${coord(path[0])};`);
+    }
+    lines.push(`PD${path.slice(1).map(coord).join(',')};`);
+    last = path[path.length - 1];
+  }
+
+  lines.push('PU;', 'SP0;');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * G-code for one pen, in absolute millimetres with y pointing up
+ * @param {Object} options
+ * @param {number[]} options.paper - [width, height] in mm
+ * @param {string} options.penUp - Command that lifts the pen
+ * @param {string} options.penDown - Command that lowers the pen
+ * @param {number} options.drawRate - Feed rate while drawing (mm/min)
+ * @param {number} options.travelRate - Feed rate for pen-up moves (mm/min)
+ * @param {string} [options.title] - Comment placed at the top of the file
+ */
+export function toGCode(paths, { paper, penUp, penDown, drawRate, travelRate, title }) {
+  const height = paper[1];
+  const coord = (pt) => `X${pt.x.toFixed(3)} Y${(height - pt.y).toFixed(3)}`;
+
+  const lines = [];
+  if (title) lines.push(`; ${title}`);
+  lines.push('G21 ; millimetres', 'G90 ; absolute', penUp);
+
+  let last = null;
+
+  for (const path of paths) {
+    const joined = last && distanceSquared(last, path[0]) < 1e-6;
+    if (!joined) {
+      if (last) lines.push(penUp);
+      lines.push(`G0 ${coord(path[0])} F${travelRate}`);
+      lines.push(penDown);
+    }
+    for (let i = 1; i < path.length; i++) {
+      lines.push(`G1 ${coord(path[i])} F${drawRate}`);
+    }
+    last = path[path.length - 1];
+  }
+
+  lines.push(penUp, 'G0 X0 Y0');
+  return lines.join('\n') + '\n';
+}
+
+function distanceSquared(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return dx * dx + dy * dy;
+}
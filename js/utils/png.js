@@ -0,0 +1,385 @@
+import { crc32 } from './crc32.js';
+
+/**
+ * PNG and animated PNG (APNG) writing from raw RGBA pixels, with text
+ * chunks, and reading text chunks back from existing PNGs.
+ * Compression uses the browser's CompressionStream ('deflate' is the
+ * zlib format PNG expects).
+ */
+
+const SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Target size of each IDAT chunk written by PNGStreamWriter
+const IDAT_SIZE = 1 << 20;
+
+/**
+ * Build one PNG chunk: length, type, data, CRC of type + data
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk payload
+ */
+export function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  return chunk;
+}
+
+/**
+ * tEXt chunk: Latin-1 keyword and text (for the standard keywords
+ * such as Title, Software and Creation Time)
+ */
+export function textChunk(keyword, text) {
+  return pngChunk('tEXt', latin1(`${keyword}\0${text}`));
+}
+
+/**
+ * iTXt chunk: Latin-1 keyword, uncompressed UTF-8 text
+ */
+export function internationalTextChunk(keyword, text) {
+  const key = latin1(keyword);
+  const value = new TextEncoder().encode(text);
+
+  // keyword \0 compression-flag compression-method language \0 translated-keyword \0 text
+  const data = new Uint8Array(key.length + 5 + value.length);
+  data.set(key, 0);
+  data.set(value, key.length + 5);
+
+  return pngChunk('iTXt', data);
+}
+
+/**
+ * pHYs chunk recording the print resolution, so layout software
+ * reads the intended physical size
+ */
+export function physicalSizeChunk(dpi) {
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  const data = new Uint8Array(9);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, pixelsPerMetre);
+  view.setUint32(4, pixelsPerMetre);
+  data[8] = 1; // Unit: metre
+  return pngChunk('pHYs', data);
+}
+
+/**
+ * Read every tEXt and iTXt entry from a PNG file
+ * @param {Uint8Array} png - A complete PNG file
+ * @returns {Object} keyword -> text
+ */
+export function readTextChunks(png) {
+  checkSignature(png);
+
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const entries = {};
+  let offset = 8;
+
+  while (offset + 8 <= png.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'tEXt') {
+      const split = data.indexOf(0);
+      if (split > 0) {
+        entries[fromLatin1(data.subarray(0, split))] = fromLatin1(data.subarray(split + 1));
+      }
+    } else if (type === 'iTXt') {
+      const split = data.indexOf(0);
+      const compressed = data[split + 1] === 1;
+      // Skip the language tag and translated keyword
+      const languageEnd = data.indexOf(0, split + 3);
+      const translatedEnd = data.indexOf(0, languageEnd + 1);
+      if (split > 0 && !compressed && translatedEnd > 0) {
+        entries[fromLatin1(data.subarray(0, split))] = new TextDecoder().decode(data.subarray(translatedEnd + 1));
+      }
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  return entries;
+}
+
+/**
+ * IHDR payload for 8-bit RGBA
+ */
+export function pngHeader(width, height) {
+  const data = new Uint8Array(13);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  data[8] = 8; // Bit depth
+  data[9] = 6; // Colour type: RGBA
+  data[10] = 0; // Deflate
+  data[11] = 0; // Adaptive filtering
+  data[12] = 0; // No interlace
+  return data;
+}
+
+/**
+ * Filter and compress RGBA pixels into zlib image data (the IDAT payload)
+ */
+export async function compressPixels(rgba, width, height) {
+  return deflate(filterRows(rgba, width, height, null));
+}
+
+/**
+ * Prefix each row with its PNG filter type and filter it.
+ * Each row uses whichever of None/Sub/Up gives the smallest residuals.
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Rows of pixels, 4 bytes each
+ * @param {number} width - Pixels per row
+ * @param {number} rows - Number of rows
+ * @param {Uint8Array|null} previousRow - The row above the first one, if any
+ */
+function filterRows(rgba, width, rows, previousRow) {
+  const stride = width * 4;
+  const filtered = new Uint8Array((stride + 1) * rows);
+  const candidates = [new Uint8Array(stride), new Uint8Array(stride), new Uint8Array(stride)];
+
+  for (let y = 0; y < rows; y++) {
+    const row = rgba.subarray(y * stride, (y + 1) * stride);
+    const above = y > 0 ? rgba.subarray((y - 1) * stride, y * stride) : previousRow;
+
+    let best = 0;
+    let bestScore = Infinity;
+
+    for (let type = 0; type < 3; type++) {
+      const out = candidates[type];
+      let score = 0;
+
+      for (let i = 0; i < stride; i++) {
+        let predicted = 0;
+        if (type === 1 && i >= 4) predicted = row[i - 4];
+        if (type === 2 && above) predicted = above[i];
+
+        const value = (row[i] - predicted) & 0xff;
+        out[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        best = type;
+      }
+    }
+
+    const offset = y * (stride + 1);
+    filtered[offset] = best;
+    filtered.set(candidates[best], offset + 1);
+  }
+
+  return filtered;
+}
+
+/**
+ * Still PNG written a band of rows at a time, for images too large to hold
+ * as raw pixels. Rows are filtered and fed through one deflate stream as
+ * they arrive; only the compressed output is kept, in IDAT chunks.
+ */
+export class PNGStreamWriter {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Image width in pixels
+   * @param {number} options.height - Image height in pixels
+   * @param {Uint8Array[]} [options.chunks] - Extra chunks to place after IHDR (e.g. pHYs)
+   */
+  constructor({ width, height, chunks = [] }) {
+    this.width = width;
+    this.height = height;
+    this.rowsWritten = 0;
+    this.previousRow = null;
+
+    this.parts = [SIGNATURE, pngChunk('IHDR', pngHeader(width, height)), ...chunks];
+
+    const compression = new CompressionStream('deflate');
+    this.writer = compression.writable.getWriter();
+    this.reading = this._collect(compression.readable);
+  }
+
+  /**
+   * Append the next rows of the image, top to bottom
+   * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, 4 bytes each, full rows
+   * @param {number} rows - Number of rows in rgba
+   */
+  async addRows(rgba, rows) {
+    if (this.rowsWritten + rows > this.height) {
+      throw new Error(`PNG is ${this.height} rows tall; got ${this.rowsWritten + rows}`);
+    }
+
+    const stride = this.width * 4;
+    const filtered = filterRows(rgba, this.width, rows, this.previousRow);
+
+    // The Up filter of the next band looks at this band's last row
+    this.previousRow = rgba.slice((rows - 1) * stride, rows * stride);
+    this.rowsWritten += rows;
+
+    await this.writer.write(filtered);
+  }
+
+  /**
+   * Flush the compressor and assemble the file
+   * @returns {Promise<Blob>}
+   */
+  async finish() {
+    if (this.rowsWritten !== this.height) {
+      throw new Error(`PNG is ${this.height} rows tall; only ${this.rowsWritten} were written`);
+    }
+
+    await this.writer.close();
+    await this.reading;
+
+    this.parts.push(pngChunk('IEND', new Uint8Array(0)));
+    return new Blob(this.parts, { type: 'image/png' });
+  }
+
+  /**
+   * Stop compressing and drop the output
+   */
+  abort() {
+    this.reading.catch(() => {});
+    this.writer.abort().catch(() => {});
+  }
+
+  /**
+   * Gather compressed output into IDAT chunks of about IDAT_SIZE bytes.
+   * Each is wrapped in a Blob so the browser can keep it out of memory.
+   */
+  async _collect(readable) {
+    const reader = readable.getReader();
+    let pending = [];
+    let size = 0;
+
+    const flush = () => {
+      if (size === 0) return;
+
+      const data = new Uint8Array(size);
+      let offset = 0;
+      for (const piece of pending) {
+        data.set(piece, offset);
+        offset += piece.length;
+      }
+
+      this.parts.push(new Blob([pngChunk('IDAT', data)]));
+      pending = [];
+      size = 0;
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      pending.push(value);
+      size += value.length;
+      if (size >= IDAT_SIZE) flush();
+    }
+
+    flush();
+  }
+}
+
+/**
+ * Animated PNG built from full-size frames.
+ * Frames are compressed as they are added, so only the compressed
+ * data is kept in memory.
+ */
+export class APNGWriter {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {number} [options.loops=0] - Times to play (0 = forever)
+   */
+  constructor({ width, height, loops = 0 }) {
+    this.width = width;
+    this.height = height;
+    this.loops = loops;
+
+    this.frames = [];
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, 4 bytes each
+   * @param {number} delay - How long to show the frame, in milliseconds
+   */
+  async addFrame(rgba, delay) {
+    const data = await compressPixels(rgba, this.width, this.height);
+    this.frames.push({ data, delay: Math.round(delay) });
+  }
+
+  /**
+   * Assemble the finished file
+   */
+  finish() {
+    const chunks = [SIGNATURE, pngChunk('IHDR', pngHeader(this.width, this.height))];
+
+    const animation = new DataView(new ArrayBuffer(8));
+    animation.setUint32(0, this.frames.length);
+    animation.setUint32(4, this.loops);
+    chunks.push(pngChunk('acTL', new Uint8Array(animation.buffer)));
+
+    // fcTL and fdAT chunks share one sequence counter
+    let sequence = 0;
+
+    this.frames.forEach((frame, index) => {
+      chunks.push(pngChunk('fcTL', this._frameControl(sequence++, frame.delay)));
+
+      if (index === 0) {
+        // The first frame doubles as the still image for non-APNG viewers
+        chunks.push(pngChunk('IDAT', frame.data));
+      } else {
+        const payload = new Uint8Array(4 + frame.data.length);
+        new DataView(payload.buffer).setUint32(0, sequence++);
+        payload.set(frame.data, 4);
+        chunks.push(pngChunk('fdAT', payload));
+      }
+    });
+
+    chunks.push(pngChunk('IEND', new Uint8Array(0)));
+
+    return new Blob(chunks, { type: 'image/apng' });
+  }
+
+  _frameControl(sequence, delay) {
+    const data = new Uint8Array(26);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, sequence);
+    view.setUint32(4, this.width);
+    view.setUint32(8, this.height);
+    view.setUint32(12, 0); // x offset
+    view.setUint32(16, 0); // y offset
+    view.setUint16(20, delay); // Delay numerator
+    view.setUint16(22, 1000); // Delay denominator: milliseconds
+    data[24] = 0; // Dispose: none
+    data[25] = 0; // Blend: source (frames are opaque and full size)
+    return data;
+  }
+}
+
+function checkSignature(png) {
+  if (png.length < SIGNATURE.length || SIGNATURE.some((byte, i) => png[i] !== byte)) {
+    throw new Error('Not a PNG file');
+  }
+}
+
+function latin1(text) {
+  return Uint8Array.from(text, c => c.charCodeAt(0) & 0xff);
+}
+
+function fromLatin1(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
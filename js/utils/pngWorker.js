@@ -0,0 +1,99 @@
+import { PNGStreamWriter } from './png.js';
+
+/**
+ * PNGStreamWriter that runs in a worker (workers/pngEncoder.js), so
+ * filtering and compressing large images doesn't block the page.
+ * Same interface: addRows(), finish(), abort().
+ */
+export class PNGWorkerWriter {
+  /**
+   * @param {Object} options - PNGStreamWriter options ({ width, height, chunks })
+   */
+  constructor(options) {
+    this.worker = new Worker(new URL('../workers/pngEncoder.js', import.meta.url), { type: 'module' });
+    this.pending = new Map();
+    this.nextId = 0;
+
+    this.worker.onmessage = ({ data }) => {
+      const request = this.pending.get(data.id);
+      if (!request) return;
+
+      this.pending.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    };
+
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this._rejectAll(new Error(event.message || 'PNG encoder worker failed to start'));
+    };
+
+    // Resolves once the worker has loaded and created its writer
+    this.ready = this._send('start', { options });
+  }
+
+  /**
+   * Append the next rows of the image. The pixel buffer is transferred
+   * to the worker, so it can't be used afterwards.
+   */
+  addRows(rgba, rows) {
+    return this._send('rows', { rgba, rows }, [rgba.buffer]);
+  }
+
+  /**
+   * @returns {Promise<Blob>}
+   */
+  async finish() {
+    const blob = await this._send('finish');
+    this.worker.terminate();
+    return blob;
+  }
+
+  /**
+   * Stop the worker and drop anything still being encoded
+   */
+  abort() {
+    this.worker.terminate();
+    this._rejectAll(new Error('PNG encoding aborted'));
+  }
+
+  _send(type, payload = {}, transfer = []) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...payload }, transfer);
+    });
+  }
+
+  _rejectAll(error) {
+    for (const request of this.pending.values()) {
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+/**
+ * A streaming PNG writer: in a worker where the browser supports module
+ * workers, otherwise on the main thread
+ * @param {Object} options - PNGStreamWriter options ({ width, height, chunks })
+ */
+export async function createPNGWriter(options) {
+  if (typeof Worker !== 'undefined') {
+    const writer = new PNGWorkerWriter(options);
+
+    try {
+      await writer.ready;
+      return writer;
+    } catch (error) {
+      console.warn('PNG encoder worker unavailable; encoding on the main thread.', error.message);
+      writer.abort();
+    }
+  }
+
+  return new PNGStreamWriter(options);
+}
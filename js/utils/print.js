@@ -0,0 +1,118 @@
+/**
+ * Print presets and page layout for relic exports.
+ *
+ * A preset is a trimmed page size in physical units at a DPI, plus how much
+ * of the page's width the square composition takes. Layouts are in pixels,
+ * with an optional bleed added around the trimmed page.
+ */
+
+const MM_PER_INCH = 25.4;
+
+export const PRINT_PRESETS = {
+  screen: { label: 'Screen (3000px)', pixels: 3000, art: 1 },
+  'square-12': { label: 'Square 12" · 300 DPI', width: 12, height: 12, unit: 'in', dpi: 300, art: 1 },
+  'square-24': { label: 'Square 24" · 300 DPI', width: 24, height: 24, unit: 'in', dpi: 300, art: 1 },
+  a4: { label: 'A4 portrait · 300 DPI', width: 210, height: 297, unit: 'mm', dpi: 300, art: 0.72 },
+  a3: { label: 'A3 portrait · 300 DPI', width: 297, height: 420, unit: 'mm', dpi: 300, art: 0.72 },
+  a2: { label: 'A2 portrait · 300 DPI', width: 420, height: 594, unit: 'mm', dpi: 300, art: 0.72 },
+  '4x5': { label: '4×5 portrait (8×10") · 300 DPI', width: 8, height: 10, unit: 'in', dpi: 300, art: 0.75 },
+  'large-8k': { label: 'Large format (8000px)', pixels: 8000, art: 1 },
+  'large-16k': { label: 'Large format (16000px)', pixels: 16000, art: 1 }
+};
+
+export const DEFAULT_PRESET = 'screen';
+
+/**
+ * Pick the preset and bleed: ?print=<preset>&bleed=<mm>, otherwise the defaults
+ */
+export function resolvePrintSettings(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  let preset = params.get('print') || DEFAULT_PRESET;
+
+  if (!PRINT_PRESETS[preset]) {
+    console.warn(`Unknown print preset "${preset}"; using "${DEFAULT_PRESET}". Presets: ${Object.keys(PRINT_PRESETS).join(', ')}`);
+    preset = DEFAULT_PRESET;
+  }
+
+  const bleed = parseFloat(params.get('bleed'));
+
+  return { preset, bleed: Number.isFinite(bleed) && bleed > 0 ? bleed : 0 };
+}
+
+/**
+ * Lay out a page for a preset
+ * @param {string} name - Key of PRINT_PRESETS
+ * @param {Object} [options]
+ * @param {number} [options.bleed=0] - Bleed on every side, in millimetres (print presets only)
+ * @returns {Object} Pixel layout: page size, trim box, art square (and its unit), text positions, dpi
+ */
+export function layoutForPreset(name, { bleed = 0 } = {}) {
+  const preset = PRINT_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown print preset "${name}"`);
+  }
+
+  let trimWidth;
+  let trimHeight;
+  let bleedPixels = 0;
+  const dpi = preset.dpi || null;
+
+  if (preset.pixels) {
+    trimWidth = preset.pixels;
+    trimHeight = preset.pixels;
+  } else {
+    const toPixels = (value) => Math.round((preset.unit === 'mm' ? value / MM_PER_INCH : value) * dpi);
+    trimWidth = toPixels(preset.width);
+    trimHeight = toPixels(preset.height);
+    bleedPixels = Math.round(bleed / MM_PER_INCH * dpi);
+  }
+
+  const width = trimWidth + bleedPixels * 2;
+  const height = trimHeight + bleedPixels * 2;
+  const trim = { x: bleedPixels, y: bleedPixels, width: trimWidth, height: trimHeight };
+
+  // `unit` is the composition's frame; full-page art also runs out into the bleed
+  const unit = Math.round(Math.min(trimWidth, trimHeight) * preset.art);
+  const artSize = preset.art >= 1 ? unit + bleedPixels * 2 : unit;
+  const art = {
+    x: Math.round((width - artSize) / 2),
+    y: Math.round((height - artSize) / 2),
+    size: artSize,
+    unit
+  };
+
+  return {
+    preset: name,
+    dpi,
+    width,
+    height,
+    bleed: bleedPixels,
+    trim,
+    art,
+    text: layoutText(trim, art)
+  };
+}
+
+/**
+ * Where the edition label and timestamp go. Full-bleed art keeps the
+ * on-canvas positions; with negative space the label sits centred in the
+ * margin under the composition and the timestamp in the top-right corner
+ * of the trimmed page.
+ */
+function layoutText(trim, art) {
+  const short = Math.min(trim.width, trim.height);
+  const margin = (trim.height - art.unit) / 2;
+
+  if (margin < short * 0.06) {
+    return {
+      label: { x: trim.x + trim.width / 2, y: trim.y + trim.height * 0.96, size: short * 0.008, baseline: 'bottom' },
+      timestamp: { x: trim.x + trim.width * 0.96, y: trim.y + trim.height * 0.04, size: short * 0.007 }
+    };
+  }
+
+  const inset = short * 0.05;
+  return {
+    label: { x: trim.x + trim.width / 2, y: trim.y + trim.height - margin / 2, size: short * 0.011, baseline: 'center' },
+    timestamp: { x: trim.x + trim.width - inset, y: trim.y + inset, size: short * 0.009 }
+  };
+}
@@ -0,0 +1,98 @@
+import { textChunk, internationalTextChunk, readTextChunks } from './png.js';
+
+/**
+ * Provenance records embedded in relic PNGs.
+ *
+ * A record looks like:
+ *   {
+ *     seed: 'lq8x2k3...',              // session seed, as taken by ?seed=
+ *     seedString: 'STILLBECOMING_2026lq8x2k3...',
+ *     edition: 'Edition 042 of 100',
+ *     completed: '2026-03-14T21:07:45+01:00',
+ *     algorithm: '1.0.0',
+ *     score: 'scores/default.json',
+ *     palette: { name: 'nocturne', mode: 'dark', background: { r, g, b }, ... }
+ *   }
+ *
+ * Each field is stored as its own iTXt entry under "stillbecoming:<field>",
+ * next to the standard tEXt Title, Software and Creation Time keywords
+ * that image viewers show.
+ */
+
+const PREFIX = 'stillbecoming:';
+const FIELDS = ['seed', 'seedString', 'edition', 'completed', 'algorithm', 'score', 'palette'];
+
+/**
+ * The PNG text chunks that carry a provenance record, for the encoder
+ * to place after IHDR
+ */
+export function provenanceChunks(provenance) {
+  const chunks = [
+    textChunk('Title', `stillbecoming - ${provenance.edition}`),
+    textChunk('Software', `stillbecoming ${provenance.algorithm}`),
+    textChunk('Creation Time', provenance.completed)
+  ];
+
+  for (const [field, value] of Object.entries(provenanceText(provenance))) {
+    chunks.push(internationalTextChunk(PREFIX + field, value));
+  }
+
+  return chunks;
+}
+
+/**
+ * Each field of a record as the text it is stored as, in a fixed order
+ * (what relic signatures cover, see utils/signing.js)
+ */
+export function provenanceText(provenance) {
+  const text = {};
+
+  for (const field of FIELDS) {
+    if (provenance[field] === undefined || provenance[field] === null) continue;
+    text[field] = typeof provenance[field] === 'string' ? provenance[field] : JSON.stringify(provenance[field]);
+  }
+
+  return text;
+}
+
+/**
+ * The stored text of each field, from a PNG's text chunks (readTextChunks)
+ */
+export function readProvenanceText(entries) {
+  const text = {};
+
+  for (const field of FIELDS) {
+    if (entries[PREFIX + field] !== undefined) {
+      text[field] = entries[PREFIX + field];
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Read the provenance record from a PNG File or Blob.
+ * Throws if the file isn't a PNG or carries no stillbecoming seed.
+ */
+export async function readProvenance(file) {
+  const entries = readTextChunks(new Uint8Array(await file.arrayBuffer()));
+  const provenance = {};
+
+  for (const [field, value] of Object.entries(readProvenanceText(entries))) {
+    if (field === 'palette') {
+      try {
+        provenance.palette = JSON.parse(value);
+      } catch (error) {
+        console.warn('Relic palette metadata is not valid JSON; ignoring it.');
+      }
+    } else {
+      provenance[field] = value;
+    }
+  }
+
+  if (!provenance.seed) {
+    throw new Error('This PNG carries no stillbecoming provenance');
+  }
+
+  return provenance;
+}
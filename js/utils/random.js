@@ -0,0 +1,56 @@
+/**
+ * Counter-based pseudo-random streams for deterministic generation
+ */
+
+const GOLDEN_GAMMA = 0x9e3779b9;
+
+/**
+ * Scramble a 32-bit integer into a well-distributed 32-bit value
+ */
+export function mix32(x) {
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+}
+
+/**
+ * A seeded stream of random numbers.
+ * Each value is a pure function of (seed, counter), so a stream never
+ * depends on how many numbers any other stream has drawn.
+ */
+export class RandomStream {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.counter = 0;
+  }
+
+  /**
+   * Get the value at a given position without advancing the stream
+   */
+  at(index) {
+    return mix32((this.seed + Math.imul(index + 1, GOLDEN_GAMMA)) | 0) / 4294967296;
+  }
+
+  /**
+   * Get the next random number between 0 and 1
+   */
+  rand() {
+    const value = this.at(this.counter);
+    this.counter++;
+    return value;
+  }
+
+  /**
+   * Get the next random number between a and b
+   */
+  randRange(a, b) {
+    return a + this.rand() * (b - a);
+  }
+
+  /**
+   * Rewind the stream to its first value
+   */
+  reset() {
+    this.counter = 0;
+  }
+}
@@ -0,0 +1,354 @@
+import { getEasing } from './easing.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * Ritual parameters a score may target, with their values before the ritual begins
+ */
+export const PARAM_DEFAULTS = {
+  cameraTiltX: 0,
+  cameraTiltY: 0,
+  cameraZoom: 1,
+  zLiftStrength: 0,
+  noiseAmp: 0,
+  glitchRate: 0,
+  geometryCompletion: 0,
+  gridVisibility: 0,
+  particleEnergy: 0,
+  weatheringAmount: 0
+};
+
+const STATE_FIELDS = ['duration', 'transition', 'easing', 'paramEasing', 'targets', 'cues', 'next', 'holdUntil'];
+const CONDITION_FIELDS = ['trait', 'above', 'below', 'event'];
+
+/**
+ * Pick the score file: ?score=<name> loads scores/<name>.json,
+ * otherwise the configured default. Anything but a bare name is
+ * reported and ignored, so a link can't load a score from elsewhere.
+ */
+export function resolveScorePath(search = window.location.search) {
+  const urlScore = new URLSearchParams(search).get('score');
+
+  if (!urlScore) return CONFIG.scorePath;
+  if (!isScoreName(urlScore)) {
+    console.warn(`Ignoring ?score=${urlScore}: expected the name of a score in ${CONFIG.scoreDirectory}.`);
+    return CONFIG.scorePath;
+  }
+
+  return scorePathForName(urlScore);
+}
+
+/**
+ * Whether `name` is a bare score name (letters, digits, '_' and '-')
+ */
+export function isScoreName(name) {
+  return typeof name === 'string' && /^[\w-]+$/.test(name);
+}
+
+/**
+ * Path of the score called `name` in the score directory
+ */
+export function scorePathForName(name) {
+  if (!isScoreName(name)) {
+    throw new Error(`"${name}" is not a score name`);
+  }
+  return `${CONFIG.scoreDirectory}${name}.json`;
+}
+
+/**
+ * Name of the score at `path` (a score's source), or null for the
+ * default score and anything outside the score directory
+ */
+export function scoreNameForPath(path) {
+  if (!path || path === CONFIG.scorePath) return null;
+  if (!path.startsWith(CONFIG.scoreDirectory) || !path.endsWith('.json')) return null;
+
+  const name = path.slice(CONFIG.scoreDirectory.length, -'.json'.length);
+  return isScoreName(name) ? name : null;
+}
+
+/**
+ * Fetch and validate the score for this session.
+ * A missing or invalid ?score= is reported and replaced by the default score.
+ */
+export async function loadScore(path = resolveScorePath()) {
+  if (path !== CONFIG.scorePath) {
+    try {
+      return parseScore(await fetchScore(path), path);
+    } catch (error) {
+      console.error(error.message);
+      console.warn('Falling back to the default score.');
+    }
+  }
+
+  return parseScore(await fetchScore(CONFIG.scorePath), CONFIG.scorePath);
+}
+
+async function fetchScore(path) {
+  let response;
+  try {
+    response = await fetch(path);
+  } catch (error) {
+    throw new Error(`Could not load score "${path}": ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Could not load score "${path}": HTTP ${response.status}`);
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new Error(`Invalid score "${path}": not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Validate raw score JSON and normalize it for RitualController.
+ * Throws one Error listing every problem found.
+ *
+ * Normalized states have a numeric duration (null becomes Infinity),
+ * a complete targets object (missing parameters carry over from the
+ * previous state in the sequence) and cues sorted by position.
+ *
+ * States outside the sequence are only reachable through `next` rules;
+ * they must list every target and declare where they go next.
+ *
+ * A state's `next` is a list of rules tried in order when it ends; the
+ * first that applies wins, otherwise the ritual continues along the
+ * sequence:
+ *   { "to": "DESTABILIZE", "repeat": [0, 2] }   loop a seed-chosen number of times
+ *   { "to": "SHADOW", "when": { "trait": "restless", "above": 0.7 } }
+ *   { "to": "ECHO", "when": { "event": "tap" } }  input during the state
+ * `holdUntil: "<event>"` keeps a state running past its duration until
+ * that event is signalled.
+ */
+export function parseScore(data, source = 'score') {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid score "${source}": expected a JSON object`);
+  }
+
+  const sequence = data.sequence;
+  const rawStates = data.states;
+
+  if (!Array.isArray(sequence) || sequence.length === 0) {
+    errors.push('"sequence" must be a non-empty array of state names');
+  }
+  if (!rawStates || typeof rawStates !== 'object' || Array.isArray(rawStates)) {
+    errors.push('"states" must be an object keyed by state name');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid score "${source}":\n  ${errors.join('\n  ')}`);
+  }
+
+  for (const name of sequence) {
+    if (!Object.prototype.hasOwnProperty.call(rawStates, name)) {
+      errors.push(`sequence references missing state "${name}"`);
+    }
+  }
+
+  const states = {};
+  let previousTargets = { ...PARAM_DEFAULTS };
+
+  sequence.forEach((name, index) => {
+    const raw = rawStates[name];
+    if (raw === undefined) return; // Reported above
+    if (!isPlainObject(raw)) {
+      errors.push(`state "${name}" must be an object`);
+      return;
+    }
+
+    const isLast = index === sequence.length - 1;
+    const state = parseState(name, raw, previousTargets, isLast, errors);
+    states[name] = state;
+    previousTargets = state.targets;
+  });
+
+  // Branch-only states
+  for (const name of Object.keys(rawStates)) {
+    if (sequence.includes(name)) continue;
+
+    const raw = rawStates[name];
+    if (!isPlainObject(raw)) {
+      errors.push(`state "${name}" must be an object`);
+      continue;
+    }
+
+    const missing = Object.keys(PARAM_DEFAULTS).filter(key => !(key in (raw.targets || {})));
+    if (missing.length > 0) {
+      errors.push(`state "${name}" is outside the sequence, so it must set every target (missing ${missing.join(', ')})`);
+    }
+    if (raw.next === undefined || (Array.isArray(raw.next) && raw.next.length === 0)) {
+      errors.push(`state "${name}" is outside the sequence, so it needs "next" rules`);
+    }
+
+    states[name] = parseState(name, raw, PARAM_DEFAULTS, false, errors);
+  }
+
+  // Rules must point at real states
+  for (const [name, state] of Object.entries(states)) {
+    for (const rule of state.next) {
+      if (!states[rule.to]) {
+        errors.push(`state "${name}": "next" goes to missing state "${rule.to}"`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid score "${source}":\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    name: typeof data.name === 'string' ? data.name : source,
+    source,
+    sequence: [...sequence],
+    states
+  };
+}
+
+function parseState(name, raw, previousTargets, isLast, errors) {
+  const where = `state "${name}"`;
+
+  for (const field of Object.keys(raw)) {
+    if (!STATE_FIELDS.includes(field)) {
+      errors.push(`${where}: unknown field "${field}" (expected one of ${STATE_FIELDS.join(', ')})`);
+    }
+  }
+
+  // Duration: seconds, or null for an open-ended final state
+  let duration = raw.duration;
+  if (duration === null && isLast) {
+    duration = Infinity;
+  } else if (!Number.isFinite(duration) || duration <= 0) {
+    errors.push(`${where}: "duration" must be a positive number` +
+      (isLast ? ' or null' : ' (only the final state may be null)'));
+  }
+
+  if (raw.transition !== undefined && (!Number.isFinite(raw.transition) || raw.transition < 0)) {
+    errors.push(`${where}: "transition" must be a non-negative number of seconds`);
+  }
+
+  if (raw.easing !== undefined) {
+    checkEasing(raw.easing, `${where}: "easing"`, errors);
+  }
+
+  const paramEasing = raw.paramEasing || {};
+  for (const key of Object.keys(paramEasing)) {
+    if (!(key in PARAM_DEFAULTS)) {
+      errors.push(`${where}: "paramEasing" has unknown parameter "${key}"`);
+    } else {
+      checkEasing(paramEasing[key], `${where}: "paramEasing.${key}"`, errors);
+    }
+  }
+
+  // Targets: unknown keys are errors, missing keys carry over
+  const targets = { ...previousTargets };
+  const rawTargets = raw.targets || {};
+  for (const key of Object.keys(rawTargets)) {
+    if (!(key in PARAM_DEFAULTS)) {
+      errors.push(`${where}: unknown parameter "${key}" (expected one of ${Object.keys(PARAM_DEFAULTS).join(', ')})`);
+    } else if (!Number.isFinite(rawTargets[key])) {
+      errors.push(`${where}: target "${key}" must be a number`);
+    } else {
+      targets[key] = rawTargets[key];
+    }
+  }
+
+  // Cues: named points at fractional positions inside the state
+  const cues = [];
+  if (raw.cues !== undefined && !Array.isArray(raw.cues)) {
+    errors.push(`${where}: "cues" must be an array`);
+  } else {
+    for (const cue of raw.cues || []) {
+      if (!cue || typeof cue.label !== 'string' || cue.label.length === 0) {
+        errors.push(`${where}: every cue needs a non-empty "label"`);
+      } else if (!Number.isFinite(cue.at) || cue.at < 0 || cue.at > 1) {
+        errors.push(`${where}: cue "${cue.label}" needs "at" between 0 and 1`);
+      } else {
+        cues.push({ at: cue.at, label: cue.label });
+      }
+    }
+  }
+  cues.sort((a, b) => a.at - b.at);
+
+  if (raw.holdUntil !== undefined && (typeof raw.holdUntil !== 'string' || raw.holdUntil.length === 0)) {
+    errors.push(`${where}: "holdUntil" must be an event name`);
+  }
+
+  return {
+    duration,
+    transition: raw.transition,
+    easing: raw.easing,
+    paramEasing,
+    targets,
+    cues,
+    next: parseNext(raw.next, where, errors),
+    holdUntil: raw.holdUntil
+  };
+}
+
+function parseNext(rawNext, where, errors) {
+  if (rawNext === undefined) return [];
+
+  // Shorthand: "next": "STATE"
+  if (typeof rawNext === 'string') return [{ to: rawNext }];
+
+  if (!Array.isArray(rawNext)) {
+    errors.push(`${where}: "next" must be a state name or an array of rules`);
+    return [];
+  }
+
+  const rules = [];
+  for (const rawRule of rawNext) {
+    const rule = typeof rawRule === 'string' ? { to: rawRule } : rawRule;
+
+    if (!rule || typeof rule.to !== 'string') {
+      errors.push(`${where}: every "next" rule needs a "to" state`);
+      continue;
+    }
+
+    const parsed = { to: rule.to };
+
+    if (rule.repeat !== undefined) {
+      const range = Array.isArray(rule.repeat) ? rule.repeat : [rule.repeat, rule.repeat];
+      const [min, max] = range;
+      if (range.length !== 2 || !Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+        errors.push(`${where}: "repeat" on rule to "${rule.to}" must be a count or [min, max]`);
+      } else {
+        parsed.repeat = [min, max];
+      }
+    }
+
+    if (rule.when !== undefined) {
+      const when = rule.when;
+      const unknown = when && typeof when === 'object' ? Object.keys(when).filter(k => !CONDITION_FIELDS.includes(k)) : [];
+      if (!when || typeof when !== 'object' || (when.trait === undefined && when.event === undefined)) {
+        errors.push(`${where}: "when" on rule to "${rule.to}" needs a "trait" or an "event"`);
+      } else if (unknown.length > 0) {
+        errors.push(`${where}: "when" on rule to "${rule.to}" has unknown field "${unknown[0]}"`);
+      } else if (when.trait !== undefined && when.above === undefined && when.below === undefined) {
+        errors.push(`${where}: trait "${when.trait}" needs "above" and/or "below"`);
+      } else {
+        parsed.when = { ...when };
+      }
+    }
+
+    rules.push(parsed);
+  }
+
+  return rules;
+}
+
+function checkEasing(spec, where, errors) {
+  try {
+    getEasing(spec);
+  } catch (error) {
+    errors.push(`${where}: ${error.message}`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,209 @@
+import { internationalTextChunk, readTextChunks } from './png.js';
+import { readProvenance, provenanceText, readProvenanceText } from './provenance.js';
+
+/**
+ * Relic signatures: ECDSA P-256 / SHA-256 (WebCrypto), made with the
+ * artist's private key and checked against the public key bundled with
+ * the site (CONFIG.signing.publicKeyPath, written by tools/keygen.mjs).
+ *
+ * The signature covers every field of the relic's provenance as embedded
+ * (utils/provenance.js) and a hash of its image, so changing any of them,
+ * or the pixels, breaks it:
+ *
+ *   stillbecoming relic signature v2
+ *   provenance: <JSON of each field's stored text, in a fixed order>
+ *   image: <image hash, hex>
+ *
+ * The image hash is SHA-256 over the SHA-256 of the IHDR chunk's data and
+ * of each IDAT chunk's data, in order; hashing chunk by chunk keeps large
+ * relics out of memory.
+ *
+ * It is stored as JSON in an iTXt chunk just before IEND:
+ *   { v: 2, alg: 'ES256', key: <key id>, image: <image hash>, signature: <base64url r||s> }
+ */
+
+const SIGNATURE_KEYWORD = 'stillbecoming:signature';
+const SIGNATURE_VERSION = 2;
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Signs relic PNGs with a private key loaded from a JWK keyfile
+ */
+export class RelicSigner {
+  constructor(privateKey, keyId) {
+    this.privateKey = privateKey;
+    this.keyId = keyId;
+  }
+
+  /**
+   * Load a private key written by tools/keygen.mjs
+   * @param {string} text - Keyfile contents (JWK JSON)
+   * @returns {Promise<RelicSigner>}
+   */
+  static async fromKeyfile(text) {
+    const jwk = JSON.parse(text);
+    if (jwk.kty !== 'EC' || jwk.crv !== 'P-256' || !jwk.d) {
+      throw new Error('Keyfile is not an ECDSA P-256 private key');
+    }
+
+    const privateKey = await crypto.subtle.importKey('jwk', jwk, ALGORITHM, false, ['sign']);
+    return new RelicSigner(privateKey, await keyId(jwk));
+  }
+
+  /**
+   * Return a copy of a relic PNG with a signature chunk added
+   * @param {Blob} png - Relic PNG, provenance already embedded
+   * @param {Object} provenance - The record embedded in it
+   * @returns {Promise<Blob>}
+   */
+  async sign(png, provenance) {
+    const { imageHash, iendOffset } = await imageDigest(png);
+    const message = signedMessage(provenanceText(provenance), imageHash);
+    const signature = await crypto.subtle.sign(SIGN_PARAMS, this.privateKey, new TextEncoder().encode(message));
+
+    const chunk = internationalTextChunk(SIGNATURE_KEYWORD, JSON.stringify({
+      v: SIGNATURE_VERSION,
+      alg: 'ES256',
+      key: this.keyId,
+      image: imageHash,
+      signature: toBase64URL(new Uint8Array(signature))
+    }));
+
+    return new Blob([png.slice(0, iendOffset), chunk, png.slice(iendOffset)], { type: 'image/png' });
+  }
+}
+
+/**
+ * Fetch the site's public key
+ * @param {string} url - JWK JSON
+ * @returns {Promise<Object>} { key: CryptoKey, keyId }
+ */
+export async function loadPublicKey(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`No public key at ${url} (${response.status})`);
+  }
+
+  const jwk = await response.json();
+  const { kty, crv, x, y } = jwk;
+  const key = await crypto.subtle.importKey('jwk', { kty, crv, x, y }, ALGORITHM, false, ['verify']);
+  return { key, keyId: await keyId(jwk) };
+}
+
+/**
+ * Check a relic PNG's signature
+ * @param {File|Blob} file - Relic PNG
+ * @param {Object} publicKey - From loadPublicKey
+ * @returns {Promise<Object>} { status, message, provenance }, status one of
+ *   'valid', 'invalid', 'unsigned', 'other-key', 'not-a-relic'.
+ *   When 'valid', every provenance field is as signed.
+ */
+export async function verifyRelic(file, publicKey) {
+  let provenance;
+  try {
+    provenance = await readProvenance(file);
+  } catch (error) {
+    return { status: 'not-a-relic', message: error.message, provenance: null };
+  }
+
+  const entries = readTextChunks(new Uint8Array(await file.arrayBuffer()));
+  if (!entries[SIGNATURE_KEYWORD]) {
+    return { status: 'unsigned', message: 'This relic carries no signature', provenance };
+  }
+
+  let record;
+  try {
+    record = JSON.parse(entries[SIGNATURE_KEYWORD]);
+  } catch (e) {
+    return { status: 'invalid', message: 'The signature record is unreadable', provenance };
+  }
+
+  if (record.v !== SIGNATURE_VERSION) {
+    return { status: 'invalid', message: `Unknown signature format (v${record.v})`, provenance };
+  }
+
+  if (record.key !== publicKey.keyId) {
+    return { status: 'other-key', message: `Signed with key ${record.key}, not this site's key ${publicKey.keyId}`, provenance };
+  }
+
+  const { imageHash } = await imageDigest(file);
+  if (imageHash !== record.image) {
+    return { status: 'invalid', message: 'The image has been altered since it was signed', provenance };
+  }
+
+  const valid = await crypto.subtle.verify(
+    SIGN_PARAMS,
+    publicKey.key,
+    fromBase64URL(record.signature),
+    new TextEncoder().encode(signedMessage(readProvenanceText(entries), imageHash))
+  );
+
+  return valid
+    ? { status: 'valid', message: 'Signed by the artist; its provenance and image are as issued', provenance }
+    : { status: 'invalid', message: 'Its provenance (seed, edition, time, palette…) has been altered since signing', provenance };
+}
+
+/**
+ * Short id of a public key: the first 8 bytes of SHA-256 over its x and y, in hex
+ */
+export async function keyId({ x, y }) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${x}.${y}`));
+  return toHex(new Uint8Array(digest).subarray(0, 8));
+}
+
+/**
+ * @param {Object} fields - Each provenance field's stored text (utils/provenance.js)
+ */
+function signedMessage(fields, imageHash) {
+  return [
+    `stillbecoming relic signature v${SIGNATURE_VERSION}`,
+    `provenance: ${JSON.stringify(fields)}`,
+    `image: ${imageHash}`
+  ].join('\n');
+}
+
+/**
+ * Hash the PNG's image data (see above) and find its IEND chunk,
+ * reading the file one chunk at a time
+ */
+async function imageDigest(png) {
+  const chunkHashes = [];
+  let offset = 8;
+
+  while (offset + 8 <= png.size) {
+    const header = new DataView(await png.slice(offset, offset + 8).arrayBuffer());
+    const length = header.getUint32(0);
+    const type = String.fromCharCode(header.getUint8(4), header.getUint8(5), header.getUint8(6), header.getUint8(7));
+
+    if (type === 'IHDR' || type === 'IDAT') {
+      const data = await png.slice(offset + 8, offset + 8 + length).arrayBuffer();
+      chunkHashes.push(new Uint8Array(await crypto.subtle.digest('SHA-256', data)));
+    } else if (type === 'IEND') {
+      const all = new Uint8Array(chunkHashes.length * 32);
+      chunkHashes.forEach((hash, i) => all.set(hash, i * 32));
+
+      return {
+        imageHash: toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', all))),
+        iendOffset: offset
+      };
+    }
+
+    offset += 12 + length;
+  }
+
+  throw new Error('PNG has no IEND chunk');
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64URL(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64URL(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
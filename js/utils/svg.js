@@ -0,0 +1,166 @@
+/**
+ * Small SVG document builder for vector exports.
+ * Groups become named layers in Illustrator (by id) and Inkscape (by label).
+ *
+ * Styles are plain objects:
+ *   { fill, fillOpacity, stroke, strokeOpacity, strokeWidth }
+ * where colours are palette entries ({ r, g, b }) and opacities are 0-1.
+ * A missing fill or stroke means none.
+ */
+
+const PRECISION = 3;
+
+export class SVGGroup {
+  /**
+   * @param {string} name - Layer name
+   * @param {Object} [options]
+   * @param {string} [options.blend] - 'multiply' composites the group with mix-blend-mode
+   */
+  constructor(name, { blend = null } = {}) {
+    this.name = name;
+    this.blend = blend;
+    this.children = [];
+  }
+
+  /**
+   * Add a named sub-group (a sub-layer)
+   */
+  group(name, options) {
+    const child = new SVGGroup(name, options);
+    this.children.push(child);
+    return child;
+  }
+
+  circle(cx, cy, r, style) {
+    this.children.push(`<circle cx="${num(cx)}" cy="${num(cy)}" r="${num(r)}"${styleAttributes(style)}/>`);
+  }
+
+  line(x1, y1, x2, y2, style) {
+    this.children.push(`<line x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}"${styleAttributes(style)}/>`);
+  }
+
+  /**
+   * @param {Array<{x: number, y: number}>} points
+   */
+  polyline(points, style) {
+    if (points.length < 2) return;
+    const coords = points.map(pt => `${num(pt.x)},${num(pt.y)}`).join(' ');
+    this.children.push(`<polyline points="${coords}"${styleAttributes(style)}/>`);
+  }
+
+  rect(x, y, width, height, style) {
+    this.children.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}"${styleAttributes(style)}/>`);
+  }
+
+  /**
+   * @param {string} anchor - 'start', 'middle' or 'end'
+   * @param {string} baseline - SVG dominant-baseline ('auto', 'hanging', ...)
+   */
+  text(x, y, content, style, { size, anchor = 'start', baseline = 'auto', font = 'monospace' } = {}) {
+    this.children.push(
+      `<text x="${num(x)}" y="${num(y)}" font-family="${escape(font)}" font-size="${num(size)}" ` +
+      `text-anchor="${anchor}" dominant-baseline="${baseline}"${styleAttributes(style)}>${escape(content)}</text>`
+    );
+  }
+
+  toString(indent = '') {
+    const id = slug(this.name);
+    const inner = this.children.map(child =>
+      typeof child === 'string' ? `${indent}  ${child}` : child.toString(`${indent}  `)
+    );
+
+    const blend = this.blend && this.blend !== 'blend' ? ` style="mix-blend-mode:${this.blend}"` : '';
+
+    return [
+      `${indent}<g id="${id}" inkscape:groupmode="layer" inkscape:label="${escape(this.name)}"${blend}>`,
+      ...inner,
+      `${indent}</g>`
+    ].join('\n');
+  }
+}
+
+export class SVGDocument extends SVGGroup {
+  /**
+   * @param {number} size - Width and height in user units; the origin is the centre
+   * @param {Object} [options]
+   * @param {string} [options.title] - Document title
+   * @param {number} [options.pixelSize] - Nominal width/height for apps that need one
+   */
+  constructor(size, { title = '', pixelSize = size } = {}) {
+    super('document');
+    this.size = size;
+    this.title = title;
+    this.pixelSize = pixelSize;
+  }
+
+  toString() {
+    const half = this.size / 2;
+    const body = this.children.map(child =>
+      typeof child === 'string' ? `  ${child}` : child.toString('  ')
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+      `width="${this.pixelSize}" height="${this.pixelSize}" viewBox="${num(-half)} ${num(-half)} ${num(this.size)} ${num(this.size)}">`,
+      this.title ? `  <title>${escape(this.title)}</title>` : null,
+      ...body,
+      '</svg>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  toBlob() {
+    return new Blob([this.toString()], { type: 'image/svg+xml' });
+  }
+}
+
+/**
+ * Palette colour as #rrggbb
+ */
+export function svgColor(color) {
+  return '#' + [color.r, color.g, color.b]
+    .map(v => Math.round(v).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function styleAttributes(style = {}) {
+  const attrs = [];
+
+  if (style.fill) {
+    attrs.push(`fill="${svgColor(style.fill)}"`);
+    if (style.fillOpacity !== undefined && style.fillOpacity < 1) {
+      attrs.push(`fill-opacity="${num(Math.max(0, style.fillOpacity))}"`);
+    }
+  } else {
+    attrs.push('fill="none"');
+  }
+
+  if (style.stroke) {
+    attrs.push(`stroke="${svgColor(style.stroke)}"`);
+    if (style.strokeOpacity !== undefined && style.strokeOpacity < 1) {
+      attrs.push(`stroke-opacity="${num(Math.max(0, style.strokeOpacity))}"`);
+    }
+    if (style.strokeWidth !== undefined) {
+      attrs.push(`stroke-width="${num(style.strokeWidth)}"`);
+    }
+  }
+
+  return ' ' + attrs.join(' ');
+}
+
+function num(value) {
+  return String(Number(value.toFixed(PRECISION)));
+}
+
+function slug(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+}
+
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,12 +1,16 @@
 /**
  * Format current timestamp for display and archival
+ * @param {Date} [date]
+ * @param {number} [offsetMinutes] - UTC offset to show it in (minutes east
+ *   of UTC); defaults to this machine's, e.g. a witnessed relic keeps its maker's
  */
-export function formatTimestamp(date = new Date()) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
+export function formatTimestamp(date = new Date(), offsetMinutes = localOffset(date)) {
+  const clock = wallClock(date, offsetMinutes);
+  const year = clock.getUTCFullYear();
+  const month = String(clock.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(clock.getUTCDate()).padStart(2, '0');
+  const hours = String(clock.getUTCHours()).padStart(2, '0');
+  const minutes = String(clock.getUTCMinutes()).padStart(2, '0');
 
   return `${year}.${month}.${day}  ${hours}:${minutes}`;
 }
@@ -23,3 +27,45 @@ export function formatFilenameTimestamp(date = new Date()) {
 
   return `${year}${month}${day}-${hours}${minutes}`;
 }
+
+/**
+ * Format timestamp as ISO 8601 in local time with its UTC offset
+ * (e.g. 2026-03-14T21:07:45+01:00), for provenance records
+ * @param {Date} [date]
+ * @param {number} [offsetMinutes] - As for formatTimestamp
+ */
+export function formatISOTimestamp(date = new Date(), offsetMinutes = localOffset(date)) {
+  const pad = (value) => String(value).padStart(2, '0');
+
+  const clock = wallClock(date, offsetMinutes);
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+
+  return `${clock.getUTCFullYear()}-${pad(clock.getUTCMonth() + 1)}-${pad(clock.getUTCDate())}` +
+    `T${pad(clock.getUTCHours())}:${pad(clock.getUTCMinutes())}:${pad(clock.getUTCSeconds())}${offset}`;
+}
+
+/**
+ * Read back a formatISOTimestamp string
+ * @returns {Object|null} { date, offsetMinutes }, or null if it isn't one
+ */
+export function parseISOTimestamp(text) {
+  const match = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|([+-])(\d{2}):(\d{2}))$/.exec(text);
+  const date = new Date(text);
+  if (!match || Number.isNaN(date.getTime())) return null;
+
+  const offsetMinutes = match[1] ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+  return { date, offsetMinutes };
+}
+
+/**
+ * This machine's UTC offset at `date`, in minutes east of UTC
+ */
+export function localOffset(date = new Date()) {
+  return -date.getTimezoneOffset();
+}
+
+// A Date whose UTC fields read as the wall clock at `offsetMinutes`
+function wallClock(date, offsetMinutes) {
+  return new Date(date.getTime() + offsetMinutes * 60000);
+}
@@ -0,0 +1,217 @@
+/**
+ * Minimal WebM (Matroska) muxer for a single video track.
+ * Takes encoded VP8/VP9 frames (e.g. from WebCodecs) and builds the file
+ * in memory: EBML header, segment info, one track, and clusters of
+ * SimpleBlocks starting at each keyframe.
+ */
+
+const IDS = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3
+};
+
+// Relative block timecodes are signed 16-bit, so clusters must stay shorter than this (ms)
+const MAX_CLUSTER_SPAN = 30000;
+
+export class WebMWriter {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {number} options.frameRate - Frames per second
+   * @param {string} options.codec - Matroska codec ID ('V_VP9' or 'V_VP8')
+   */
+  constructor({ width, height, frameRate, codec = 'V_VP9' }) {
+    this.width = width;
+    this.height = height;
+    this.frameRate = frameRate;
+    this.codec = codec;
+
+    this.clusters = [];
+    this.currentCluster = null;
+    this.lastTimestamp = 0;
+  }
+
+  /**
+   * Add an encoded frame
+   * @param {Uint8Array} data - Encoded frame bytes
+   * @param {number} timestamp - Presentation time in milliseconds
+   * @param {boolean} isKeyframe - Whether the frame can be decoded on its own
+   */
+  addFrame(data, timestamp, isKeyframe) {
+    const time = Math.round(timestamp);
+
+    if (!this.currentCluster || isKeyframe || time - this.currentCluster.timecode >= MAX_CLUSTER_SPAN) {
+      this.currentCluster = { timecode: time, blocks: [] };
+      this.clusters.push(this.currentCluster);
+    }
+
+    const relative = time - this.currentCluster.timecode;
+    const header = new Uint8Array(4);
+    header[0] = 0x81; // Track number 1 as a 1-byte vint
+    header[1] = (relative >> 8) & 0xff;
+    header[2] = relative & 0xff;
+    header[3] = isKeyframe ? 0x80 : 0x00;
+
+    this.currentCluster.blocks.push(element(IDS.SimpleBlock, [header, data]));
+    this.lastTimestamp = Math.max(this.lastTimestamp, time);
+  }
+
+  /**
+   * Assemble the finished file
+   */
+  finish() {
+    const frameDuration = 1000 / this.frameRate;
+
+    const header = element(IDS.EBML, [
+      uintElement(IDS.EBMLVersion, 1),
+      uintElement(IDS.EBMLReadVersion, 1),
+      uintElement(IDS.EBMLMaxIDLength, 4),
+      uintElement(IDS.EBMLMaxSizeLength, 8),
+      stringElement(IDS.DocType, 'webm'),
+      uintElement(IDS.DocTypeVersion, 2),
+      uintElement(IDS.DocTypeReadVersion, 2)
+    ]);
+
+    const info = element(IDS.Info, [
+      uintElement(IDS.TimecodeScale, 1000000), // Timecodes in milliseconds
+      stringElement(IDS.MuxingApp, 'stillbecoming'),
+      stringElement(IDS.WritingApp, 'stillbecoming'),
+      floatElement(IDS.Duration, this.lastTimestamp + frameDuration)
+    ]);
+
+    const tracks = element(IDS.Tracks, [
+      element(IDS.TrackEntry, [
+        uintElement(IDS.TrackNumber, 1),
+        uintElement(IDS.TrackUID, 1),
+        uintElement(IDS.TrackType, 1), // Video
+        uintElement(IDS.FlagLacing, 0),
+        stringElement(IDS.CodecID, this.codec),
+        uintElement(IDS.DefaultDuration, Math.round(frameDuration * 1000000)),
+        element(IDS.Video, [
+          uintElement(IDS.PixelWidth, this.width),
+          uintElement(IDS.PixelHeight, this.height)
+        ])
+      ])
+    ]);
+
+    const clusters = this.clusters.map(cluster => element(IDS.Cluster, [
+      uintElement(IDS.Timecode, cluster.timecode),
+      ...cluster.blocks
+    ]));
+
+    const segment = element(IDS.Segment, [info, tracks, ...clusters]);
+
+    return new Blob([...flatten(header), ...flatten(segment)], { type: 'video/webm' });
+  }
+}
+
+/**
+ * An element is kept as a tree of byte arrays with its total size,
+ * so nested payloads are only copied once, into the final Blob
+ */
+function element(id, children) {
+  const parts = Array.isArray(children) ? children : [children];
+  const payloadSize = parts.reduce((sum, part) => sum + sizeOf(part), 0);
+  const head = concat(idBytes(id), sizeBytes(payloadSize));
+
+  return { parts: [head, ...parts], size: head.length + payloadSize };
+}
+
+function uintElement(id, value) {
+  const bytes = [];
+  let v = value;
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0);
+
+  return element(id, new Uint8Array(bytes));
+}
+
+function floatElement(id, value) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  return element(id, new Uint8Array(view.buffer));
+}
+
+function stringElement(id, value) {
+  return element(id, new TextEncoder().encode(value));
+}
+
+function idBytes(id) {
+  const bytes = [];
+  let v = id;
+  while (v > 0) {
+    bytes.unshift(v & 0xff);
+    v = Math.floor(v / 256);
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Encode a size as an EBML variable-length integer (1-8 bytes)
+ */
+function sizeBytes(size) {
+  let length = 1;
+  while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+    length++;
+  }
+
+  const bytes = new Uint8Array(length);
+  let v = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+
+  return bytes;
+}
+
+function sizeOf(part) {
+  return part instanceof Uint8Array ? part.length : part.size;
+}
+
+function* flatten(part) {
+  if (part instanceof Uint8Array) {
+    yield part;
+    return;
+  }
+  for (const child of part.parts) {
+    yield* flatten(child);
+  }
+}
+
+function concat(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
@@ -0,0 +1,182 @@
+import { hashToIndex } from './hash.js';
+import { isScoreName } from './score.js';
+
+/**
+ * Witness links: one relic as a URL (?witness=<token>), so anyone can see
+ * exactly the relic someone else made without it becoming theirs.
+ *
+ * The token is the base64url of '|'-separated fields
+ *   1|seed|edition|cap|completed|offset|palette|mode|score|events
+ * (integers in base 36; edition empty when unnumbered; completed in seconds
+ * since 1970 and offset in minutes east of UTC; score the name of a score in
+ * the score directory, empty for the default;
+ * events as `<time>` for taps or `<name>@<time>`, in ritual seconds),
+ * then '.' and a 6-character checksum that catches links mangled in
+ * transit. It doesn't prove who made the relic: signed PNGs do that
+ * (utils/signing.js).
+ */
+
+const VERSION = '1';
+const CHECKSUM_SPACE = 36 ** 6;
+
+/**
+ * @param {Object} relic
+ * @param {string} relic.seed - Session seed
+ * @param {number|null} relic.editionNumber - null when unnumbered
+ * @param {number} relic.cap - Edition size
+ * @param {Date} relic.completed - Ritual timestamp
+ * @param {number} relic.offset - Its UTC offset, in minutes east of UTC
+ * @param {string} relic.palette - Palette name
+ * @param {string} relic.mode - 'dark' or 'paper'
+ * @param {string|null} relic.score - Score name (utils/score.js), null for the default
+ * @param {Array<Object>} relic.events - Signalled events { name, time }
+ * @returns {string} Token for ?witness=
+ */
+export function encodeWitness(relic) {
+  const fields = [
+    VERSION,
+    relic.seed,
+    relic.editionNumber === null ? '' : relic.editionNumber.toString(36),
+    relic.cap.toString(36),
+    Math.floor(relic.completed.getTime() / 1000).toString(36),
+    relic.offset.toString(36),
+    relic.palette,
+    relic.mode,
+    relic.score || '',
+    relic.events.map(encodeEvent).join(',')
+  ];
+
+  if (relic.score && !isScoreName(relic.score)) {
+    throw new Error(`"${relic.score}" can't go in a witness link (not a score name)`);
+  }
+
+  const unsafe = fields.find(field => field.includes('|'));
+  if (unsafe !== undefined) {
+    throw new Error(`"${unsafe}" can't go in a witness link (it contains "|")`);
+  }
+
+  const body = toBase64url(fields.join('|'));
+  return `${body}.${checksum(body)}`;
+}
+
+/**
+ * Read a token made by encodeWitness. Throws if it is damaged or not one.
+ * @returns {Object} The relic, as given to encodeWitness
+ */
+export function decodeWitness(token) {
+  const [body, check, ...rest] = token.split('.');
+  if (!body || !check || rest.length > 0) {
+    throw new Error('not a witness link');
+  }
+  if (checksum(body) !== check) {
+    throw new Error('checksum does not match (the link may be cut short or mistyped)');
+  }
+
+  let fields;
+  try {
+    fields = fromBase64url(body).split('|');
+  } catch (error) {
+    throw new Error('not a witness link');
+  }
+
+  if (fields[0] !== VERSION) {
+    throw new Error(`made by a newer version (format ${fields[0]})`);
+  }
+  if (fields.length !== 10) {
+    throw new Error(`expected 10 fields, found ${fields.length}`);
+  }
+
+  const [, seed, edition, cap, completed, offset, palette, mode, score, events] = fields;
+  const relic = {
+    seed,
+    editionNumber: edition === '' ? null : parseInt(edition, 36),
+    cap: parseInt(cap, 36),
+    completed: new Date(parseInt(completed, 36) * 1000),
+    offset: parseInt(offset, 36),
+    palette,
+    mode,
+    score: score || null,
+    events: events === '' ? [] : events.split(',').map(decodeEvent)
+  };
+
+  if (!relic.seed) throw new Error('no seed');
+  if (!(relic.cap > 0)) throw new Error('no edition size');
+  if (relic.editionNumber !== null && !(relic.editionNumber >= 1 && relic.editionNumber <= relic.cap)) {
+    throw new Error(`edition ${relic.editionNumber} is outside 1-${relic.cap}`);
+  }
+  if (Number.isNaN(relic.completed.getTime()) || !(Math.abs(relic.offset) <= 14 * 60)) {
+    throw new Error('bad timestamp');
+  }
+  if (relic.score !== null && !isScoreName(relic.score)) {
+    throw new Error('bad score name');
+  }
+  if (relic.events.some(event => !Number.isFinite(event.time))) {
+    throw new Error('bad event time');
+  }
+
+  return relic;
+}
+
+/**
+ * The relic in ?witness=, or null. A damaged link is reported and ignored.
+ */
+export function readWitness(search = window.location.search) {
+  const token = new URLSearchParams(search).get('witness');
+  if (!token) return null;
+
+  try {
+    return decodeWitness(token);
+  } catch (error) {
+    console.warn(`Ignoring witness link: ${error.message}.`);
+    return null;
+  }
+}
+
+/**
+ * URL that opens straight to the relic (or, with `replay`, performs its
+ * ritual again) for whoever follows it
+ */
+export function witnessURL(relic, { replay = false, base = window.location.href } = {}) {
+  const url = new URL(base);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('witness', encodeWitness(relic));
+
+  if (replay) {
+    url.searchParams.set('replay', '');
+  }
+
+  return url.toString();
+}
+
+// Times are written in full so branches resolve exactly as they did
+function encodeEvent({ name, time }) {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Event "${name}" can't go in a witness link`);
+  }
+  return name === 'tap' ? String(time) : `${name}@${time}`;
+}
+
+function decodeEvent(text) {
+  const at = text.lastIndexOf('@');
+  return at === -1
+    ? { name: 'tap', time: Number(text) }
+    : { name: text.slice(0, at), time: Number(text.slice(at + 1)) };
+}
+
+function checksum(text) {
+  return hashToIndex(text, CHECKSUM_SPACE).toString(36).padStart(6, '0');
+}
+
+function toBase64url(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
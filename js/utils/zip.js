@@ -0,0 +1,92 @@
+import { crc32 } from './crc32.js';
+
+/**
+ * Minimal ZIP archive writer (stored entries, no compression).
+ * Entries may be Blobs, so large archives don't have to sit in memory.
+ */
+export class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.parts = [];
+    this.offset = 0;
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive
+   * @param {Blob|Uint8Array|string} data - File contents
+   */
+  async add(name, data) {
+    const bytes = typeof data === 'string'
+      ? new TextEncoder().encode(data)
+      : data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(bytes);
+    const size = bytes.length;
+    const { time, date } = dosDateTime(new Date());
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // Local file header signature
+    header.setUint16(4, 20, true); // Version needed
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    this.entries.push({ nameBytes, crc, size, time, date, offset: this.offset });
+
+    // Keep Blobs as Blobs so the browser can page them out
+    this.parts.push(header.buffer, nameBytes, data instanceof Blob ? data : bytes);
+    this.offset += 30 + nameBytes.length + size;
+  }
+
+  /**
+   * Write the central directory and return the archive
+   */
+  finish() {
+    const directoryStart = this.offset;
+    let directorySize = 0;
+
+    for (const entry of this.entries) {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true); // Central directory signature
+      record.setUint16(4, 20, true); // Version made by
+      record.setUint16(6, 20, true); // Version needed
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, 0, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      record.setUint32(42, entry.offset, true);
+
+      this.parts.push(record.buffer, entry.nameBytes);
+      directorySize += 46 + entry.nameBytes.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, directoryStart, true);
+    this.parts.push(end.buffer);
+
+    return new Blob(this.parts, { type: 'application/zip' });
+  }
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * verify.js
+ * Relic verification page: checks a dropped PNG's signature against the
+ * public key published with the site (see utils/signing.js)
+ */
+
+import { loadPublicKey, verifyRelic } from './utils/signing.js';
+import { CONFIG } from './config.js';
+
+const STATUS_LABELS = {
+  valid: 'Authentic',
+  invalid: 'Altered',
+  unsigned: 'Unsigned',
+  'other-key': 'Unknown signer',
+  'not-a-relic': 'Not a relic'
+};
+
+const dropZone = document.getElementById('verify-drop');
+const fileInput = document.getElementById('verify-file');
+const result = document.getElementById('verify-result');
+const statusLabel = document.getElementById('verify-status');
+const messageLabel = document.getElementById('verify-message');
+const details = document.getElementById('verify-details');
+
+// Loaded once; a missing key is reported when a relic is checked
+const publicKey = loadPublicKey(CONFIG.signing.publicKeyPath);
+publicKey.catch(error => console.warn(error.message));
+
+fileInput.addEventListener('change', () => {
+  if (fileInput.files[0]) check(fileInput.files[0]);
+  fileInput.value = '';
+});
+
+dropZone.addEventListener('dragover', (event) => {
+  event.preventDefault();
+  dropZone.classList.add('active');
+});
+
+dropZone.addEventListener('dragleave', () => dropZone.classList.remove('active'));
+
+dropZone.addEventListener('drop', (event) => {
+  event.preventDefault();
+  dropZone.classList.remove('active');
+  if (event.dataTransfer.files[0]) check(event.dataTransfer.files[0]);
+});
+
+async function check(file) {
+  show('checking', 'Checking…', file.name, null);
+
+  let key;
+  try {
+    key = await publicKey;
+  } catch (error) {
+    show('unavailable', 'Cannot verify', 'This site has no public key published yet.', null);
+    return;
+  }
+
+  try {
+    const { status, message, provenance } = await verifyRelic(file, key);
+    show(status, STATUS_LABELS[status], message, provenance);
+  } catch (error) {
+    console.error(`Could not verify "${file.name}":`, error);
+    show('invalid', 'Unreadable', error.message, null);
+  }
+}
+
+function show(status, label, message, provenance) {
+  result.classList.remove('hidden');
+  result.dataset.status = status;
+  statusLabel.textContent = label;
+  messageLabel.textContent = message;
+
+  details.replaceChildren();
+  if (!provenance) return;
+
+  const rows = [
+    ['Edition', provenance.edition],
+    ['Seed', provenance.seed],
+    ['Completed', provenance.completed],
+    ['Algorithm', provenance.algorithm],
+    ['Score', provenance.score],
+    ['Palette', provenance.palette && [provenance.palette.name, provenance.palette.mode].filter(Boolean).join(', ')]
+  ];
+  for (const [name, value] of rows) {
+    if (!value) continue;
+    const term = document.createElement('dt');
+    term.textContent = name;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    details.append(term, description);
+  }
+}
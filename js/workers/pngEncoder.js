@@ -0,0 +1,48 @@
+import { PNGStreamWriter } from '../utils/png.js';
+
+/**
+ * Module worker that runs a PNGStreamWriter (utils/png.js) off the main
+ * thread. Driven by PNGWorkerWriter (utils/pngWorker.js).
+ *
+ * Messages in:  { id, type: 'start', options }
+ *               { id, type: 'rows', rgba, rows }
+ *               { id, type: 'finish' }
+ * Messages out: { id, result } or { id, error }
+ */
+
+let writer = null;
+
+// Handle messages strictly one after another, as rows must arrive in order
+let queue = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+  queue = queue.then(() => handle(data));
+};
+
+async function handle({ id, type, ...payload }) {
+  try {
+    let result = null;
+
+    switch (type) {
+      case 'start':
+        writer = new PNGStreamWriter(payload.options);
+        break;
+
+      case 'rows':
+        await writer.addRows(payload.rgba, payload.rows);
+        break;
+
+      case 'finish':
+        result = await writer.finish();
+        writer = null;
+        break;
+
+      default:
+        throw new Error(`Unknown message "${type}"`);
+    }
+
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+}
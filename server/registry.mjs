@@ -0,0 +1,261 @@
+/**
+ * registry.mjs
+ * Local edition registry for stillbecoming, a stand-in for the production
+ * service. Hands out edition numbers 1..cap, one per visitor, never twice.
+ *
+ *   node server/registry.mjs [--port 8787] [--data server/data/editions.json] [--cap 100]
+ *
+ * Then set CONFIG.registry.url to http://localhost:8787.
+ *
+ * Endpoints (JSON):
+ *   POST /editions  { visitor }  -> 201 { edition, cap } for a new visitor
+ *                                   200 { edition, cap } for a returning one
+ *                                   409 { soldOut: true, cap } once every edition is taken
+ *   GET  /editions               -> 200 { cap, allocated, remaining, soldOut }
+ *
+ * Allocations are handled one at a time and each is written to the data
+ * file (via a temporary file and a rename) before it is answered, so a
+ * number is never given out twice, even across restarts.
+ */
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+
+const DEFAULTS = {
+  port: 8787,
+  data: resolve(HERE, 'data/editions.json'),
+  cap: 100
+};
+
+// Requests larger than this are refused; a visitor token is tiny
+const MAX_BODY = 4096;
+
+/**
+ * Edition allocations backed by a JSON file
+ */
+export class EditionRegistry {
+  /**
+   * @param {string} path - JSON file holding the allocations
+   * @param {number} cap - Number of editions
+   */
+  constructor(path, cap) {
+    this.path = path;
+    this.cap = cap;
+
+    // visitor token -> { edition, allocatedAt }
+    this.allocations = new Map();
+
+    // Allocations run strictly one after another
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read existing allocations, if the data file exists
+   */
+  async load() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const data = JSON.parse(text);
+    if (data.cap !== this.cap) {
+      console.warn(`Data file was written with cap ${data.cap}; now using ${this.cap}.`);
+    }
+
+    for (const [visitor, allocation] of Object.entries(data.allocations || {})) {
+      this.allocations.set(visitor, allocation);
+    }
+  }
+
+  /**
+   * Current totals
+   */
+  status() {
+    const allocated = this.allocations.size;
+    return {
+      cap: this.cap,
+      allocated,
+      remaining: Math.max(this.cap - allocated, 0),
+      soldOut: allocated >= this.cap
+    };
+  }
+
+  /**
+   * The visitor's edition, allocating the lowest free number if they have none
+   * @param {string} visitor - Visitor token
+   * @returns {Promise<Object>} { edition, created } or { soldOut: true }
+   */
+  allocate(visitor) {
+    const result = this.queue.then(() => this._allocate(visitor));
+
+    // Keep the queue going even if this allocation fails
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async _allocate(visitor) {
+    const existing = this.allocations.get(visitor);
+    if (existing) {
+      return { edition: existing.edition, created: false };
+    }
+
+    const taken = new Set([...this.allocations.values()].map(a => a.edition));
+    let edition = null;
+    for (let n = 1; n <= this.cap; n++) {
+      if (!taken.has(n)) {
+        edition = n;
+        break;
+      }
+    }
+
+    if (edition === null) {
+      return { soldOut: true };
+    }
+
+    this.allocations.set(visitor, { edition, allocatedAt: new Date().toISOString() });
+
+    try {
+      await this._save();
+    } catch (error) {
+      // Not on disk, so not given out
+      this.allocations.delete(visitor);
+      throw error;
+    }
+
+    return { edition, created: true };
+  }
+
+  async _save() {
+    const data = {
+      cap: this.cap,
+      allocations: Object.fromEntries(this.allocations)
+    };
+
+    await mkdir(dirname(this.path), { recursive: true });
+
+    // Write then rename, so a crash never leaves a half-written file
+    const temporary = `${this.path}.tmp`;
+    await writeFile(temporary, JSON.stringify(data, null, 2) + '\n');
+    await rename(temporary, this.path);
+  }
+}
+
+/**
+ * HTTP front end for a registry
+ * @param {EditionRegistry} registry
+ */
+export function createRegistryServer(registry) {
+  return createServer(async (request, response) => {
+    // The site is served from another origin during development
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    try {
+      if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+        return;
+      }
+
+      if (pathname !== '/editions') {
+        sendJSON(response, 404, { error: 'Not found' });
+        return;
+      }
+
+      if (request.method === 'GET') {
+        sendJSON(response, 200, registry.status());
+        return;
+      }
+
+      if (request.method !== 'POST') {
+        sendJSON(response, 405, { error: 'Method not allowed' });
+        return;
+      }
+
+      const { visitor } = await readJSON(request);
+      if (typeof visitor !== 'string' || visitor.length === 0 || visitor.length > 128) {
+        sendJSON(response, 400, { error: 'Expected { visitor: <token> }' });
+        return;
+      }
+
+      const result = await registry.allocate(visitor);
+      if (result.soldOut) {
+        sendJSON(response, 409, { soldOut: true, cap: registry.cap });
+        return;
+      }
+
+      if (result.created) {
+        console.log(`Edition ${result.edition} of ${registry.cap} -> ${visitor}`);
+      }
+      sendJSON(response, result.created ? 201 : 200, { edition: result.edition, cap: registry.cap });
+    } catch (error) {
+      console.error('Registry request failed:', error);
+      sendJSON(response, error.status || 500, { error: error.status ? error.message : 'Registry error' });
+    }
+  });
+}
+
+function sendJSON(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+async function readJSON(request) {
+  let text = '';
+  for await (const chunk of request) {
+    text += chunk;
+    if (text.length > MAX_BODY) {
+      throw Object.assign(new Error('Request too large'), { status: 413 });
+    }
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text || '{}');
+  } catch (e) {
+    throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+  }
+
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw Object.assign(new Error('Request body must be a JSON object'), { status: 400 });
+  }
+  return body;
+}
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+
+    if (!(key in DEFAULTS) || value === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    options[key] = key === 'data' ? resolve(value) : Number(value);
+  }
+
+  return options;
+}
+
+// Run as a script (not when imported)
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  const registry = new EditionRegistry(options.data, options.cap);
+  await registry.load();
+
+  createRegistryServer(registry).listen(options.port, () => {
+    const { allocated, cap } = registry.status();
+    console.log(`Edition registry on http://localhost:${options.port} (${allocated} of ${cap} allocated, ${options.data})`);
+  });
+}
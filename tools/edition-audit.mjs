@@ -0,0 +1,128 @@
+/**
+ * edition-audit.mjs
+ * Shows how evenly visitors are spread over editions by the hashed edition
+ * derivation (EditionManager without a registry), for collectors and for
+ * checking changes to js/utils/hash.js.
+ *
+ *   node tools/edition-audit.mjs [--visitors 1000000] [--cap 100] [--guests 100] [--legacy]
+ *
+ * Simulates random visitor tokens and reports:
+ *   - per-edition counts, and the chi-square test of them against a uniform spread
+ *   - expected and simulated duplicates when `guests` visitors each get an edition
+ * --legacy also runs the pre-1.3.0 hash for comparison.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { hashToIndex } from '../js/utils/hash.js';
+
+const MASTER_SEED = 'STILLBECOMING_2026';
+
+const options = parseArgs(process.argv.slice(2), { visitors: 1000000, cap: 100, guests: 100, legacy: false });
+
+const derivations = {
+  'hash53 (current)': token => hashToIndex(`${MASTER_SEED}/edition/${token}`, options.cap) + 1
+};
+if (options.legacy) {
+  derivations['simpleHash (before 1.3.0)'] = token => (legacyHash(token + MASTER_SEED) % options.cap) + 1;
+}
+
+console.log(`${options.visitors.toLocaleString('en')} simulated visitors, ${options.cap} editions\n`);
+
+const tokens = Array.from({ length: options.visitors }, () => randomUUID());
+
+for (const [name, derive] of Object.entries(derivations)) {
+  const editions = tokens.map(derive);
+  report(name, editions);
+}
+
+function report(name, editions) {
+  const { cap, guests } = options;
+  const counts = new Array(cap + 1).fill(0);
+  for (const edition of editions) counts[edition]++;
+  counts.shift(); // Editions start at 1
+
+  const expected = editions.length / cap;
+  const chiSquare = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+  const degrees = cap - 1;
+  const p = chiSquarePValue(chiSquare, degrees);
+
+  console.log(`== ${name}`);
+  console.log('Counts per edition:');
+  for (let i = 0; i < cap; i += 10) {
+    const row = counts.slice(i, i + 10).map(count => String(count).padStart(7)).join('');
+    console.log(`  ${String(i + 1).padStart(3, '0')}-${String(Math.min(i + 10, cap)).padStart(3, '0')} ${row}`);
+  }
+  console.log(`  expected ${expected.toFixed(1)} each; min ${Math.min(...counts)}, max ${Math.max(...counts)}`);
+  console.log(`Chi-square ${chiSquare.toFixed(2)} on ${degrees} degrees of freedom, p = ${p.toFixed(4)}` +
+    (p < 0.01 ? '  (NOT uniform)' : '  (consistent with uniform)'));
+
+  // `guests` visitors at one event, each getting a hashed edition
+  const groups = Math.floor(editions.length / guests);
+  let duplicates = 0;
+  let anyDuplicate = 0;
+  for (let g = 0; g < groups; g++) {
+    const distinct = new Set(editions.slice(g * guests, (g + 1) * guests)).size;
+    duplicates += guests - distinct;
+    if (distinct < guests) anyDuplicate++;
+  }
+
+  const expectedDistinct = cap * (1 - (1 - 1 / cap) ** guests);
+  const noDuplicate = Array.from({ length: guests }, (_, i) => (cap - i) / cap).reduce((a, b) => a * b, 1);
+  console.log(`With ${guests} guests: expected ${(guests - expectedDistinct).toFixed(2)} guests holding an already-issued edition ` +
+    `(simulated ${(duplicates / groups).toFixed(2)}), P(any duplicate) ${(1 - noDuplicate).toFixed(4)} ` +
+    `(simulated ${(anyDuplicate / groups).toFixed(4)}, ${groups} events)`);
+  console.log('');
+}
+
+/**
+ * Upper-tail probability of the chi-square distribution
+ * (Wilson-Hilferty normal approximation; good for more than a few degrees of freedom)
+ */
+function chiSquarePValue(x, k) {
+  const z = ((x / k) ** (1 / 3) - (1 - 2 / (9 * k))) / Math.sqrt(2 / (9 * k));
+  return 0.5 * erfc(z / Math.SQRT2);
+}
+
+// Complementary error function (Numerical Recipes' erfcc, |error| < 1.2e-7)
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + z / 2);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+// The hash editions used before 1.3.0
+function legacyHash(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return Math.abs(hash);
+}
+
+function parseArgs(argv, defaults) {
+  const parsed = { ...defaults };
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in defaults)) {
+      console.error(`Unknown option "${argv[i]}"`);
+      process.exit(1);
+    }
+
+    if (typeof defaults[key] === 'boolean') {
+      parsed[key] = true;
+    } else {
+      parsed[key] = Number(argv[++i]);
+      if (!Number.isInteger(parsed[key]) || parsed[key] < 1) {
+        console.error(`--${key} needs a positive whole number`);
+        process.exit(1);
+      }
+    }
+  }
+
+  return parsed;
+}
@@ -0,0 +1,49 @@
+/**
+ * keygen.mjs
+ * Create the artist's relic signing key pair (ECDSA P-256, see js/utils/signing.js).
+ *
+ *   node tools/keygen.mjs <private keyfile> [public key path]
+ *
+ * The private keyfile is what the curator loads in ?curator mode to sign
+ * relics. Keep it off the web server and out of the repository. The public
+ * key (default keys/relic-signing-public.json, CONFIG.signing.publicKeyPath)
+ * is published with the site so verify.html can check relics.
+ */
+
+import { webcrypto } from 'node:crypto';
+import { writeFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const [privatePath, publicPath = resolve(ROOT, 'keys/relic-signing-public.json')] = process.argv.slice(2);
+
+if (!privatePath) {
+  console.error('Usage: node tools/keygen.mjs <private keyfile> [public key path]');
+  process.exit(1);
+}
+
+if (!relative(ROOT, resolve(privatePath)).startsWith('..')) {
+  console.error('Refusing to write the private key inside the site directory; choose a path outside it.');
+  process.exit(1);
+}
+
+const { privateKey, publicKey } = await webcrypto.subtle.generateKey(
+  { name: 'ECDSA', namedCurve: 'P-256' },
+  true,
+  ['sign', 'verify']
+);
+
+const privateJWK = await webcrypto.subtle.exportKey('jwk', privateKey);
+const publicJWK = await webcrypto.subtle.exportKey('jwk', publicKey);
+
+// 'wx' fails rather than overwrite an existing key
+await writeFile(privatePath, JSON.stringify(privateJWK, null, 2) + '\n', { flag: 'wx', mode: 0o600 });
+
+await mkdir(dirname(publicPath), { recursive: true });
+const { kty, crv, x, y } = publicJWK;
+await writeFile(publicPath, JSON.stringify({ kty, crv, x, y }, null, 2) + '\n');
+
+console.log(`Private key: ${resolve(privatePath)} (keep it secret)`);
+console.log(`Public key:  ${resolve(publicPath)} (publish it with the site)`);
@@ -0,0 +1,137 @@
+/**
+ * render-parity.mjs
+ * Checks that the canvas and every export draw the same scene
+ * (see js/render/RecordingRenderer.js), for changes to the renderers or
+ * to the systems that fill the draw list.
+ *
+ *   node tools/render-parity.mjs [--seeds 5] [--frames 12] [--paper]
+ *
+ * For each seed, builds the scene at `frames` points through the default
+ * score and traces it three ways:
+ *   - the scene itself
+ *   - replayed through P5Renderer at screen size and at print size
+ *     (the canvas, PNG and video exports)
+ *   - replayed through SVGRenderer (the SVG, PDF and plotter exports)
+ * and reports the first line where a replay differs from the scene.
+ * --paper builds the scenes in paper mode (multiplied weathering).
+ * Exits with 1 if any replay differs.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// SeedManager reads ?seed= from the page
+globalThis.window = { location: { search: '' } };
+
+const { SeedManager } = await import('../js/controllers/SeedManager.js');
+const { RitualController } = await import('../js/controllers/RitualController.js');
+const { GeometrySystem } = await import('../js/systems/GeometrySystem.js');
+const { GridSystem } = await import('../js/systems/GridSystem.js');
+const { ParticleSystem } = await import('../js/systems/ParticleSystem.js');
+const { WeatheringPass } = await import('../js/systems/WeatheringPass.js');
+const { Composition } = await import('../js/render/Composition.js');
+const { traceScene, traceCanvasReplay, traceVectorReplay } = await import('../js/render/RecordingRenderer.js');
+const { parseScore } = await import('../js/utils/score.js');
+const { PALETTES, DEFAULT_PALETTE } = await import('../js/utils/palette.js');
+const { CONFIG } = await import('../js/config.js');
+
+const SCREEN_UNIT = 800;
+const PRINT_UNIT = 7016; // A2 at 300 dpi
+const VECTOR_UNIT = 1000;
+
+const options = parseArgs(process.argv.slice(2), { seeds: 5, frames: 12, paper: false });
+
+const score = parseScore(JSON.parse(await readFile(resolve(ROOT, CONFIG.scorePath), 'utf8')), CONFIG.scorePath);
+
+// The systems only use p5's constants and map() to describe a frame
+const p = {
+  PI: Math.PI,
+  TWO_PI: Math.PI * 2,
+  map: (value, start1, stop1, start2, stop2) => start2 + (value - start1) / (stop1 - start1) * (stop2 - start2)
+};
+
+let compared = 0;
+let failures = 0;
+
+for (let i = 0; i < options.seeds; i++) {
+  const seed = `parity-${i}`;
+  const seedManager = new SeedManager(seed);
+  const systems = {
+    grid: new GridSystem(p, seedManager),
+    geometry: new GeometrySystem(p, seedManager),
+    particles: new ParticleSystem(p, seedManager),
+    weathering: new WeatheringPass(p, seedManager, { mode: options.paper ? 'paper' : 'dark' })
+  };
+  const composition = new Composition(systems, PALETTES[DEFAULT_PALETTE].colors);
+  const ritual = new RitualController(score, seedManager);
+
+  for (let frame = 0; frame < options.frames; frame++) {
+    ritual.seek(ritual.getDuration() * frame / (options.frames - 1 || 1));
+    const params = { time: ritual.getGlobalTime(), ...ritual.getParams() };
+    systems.particles.update(params, 1 / 30);
+
+    const state = ritual.getStateName();
+    const scene = composition.build(params, state);
+    const expected = traceScene(scene);
+    const expectedVector = traceScene(scene, { vector: true });
+
+    const replays = [
+      ['canvas', expected, traceCanvasReplay(scene, SCREEN_UNIT)],
+      ['print', expected, traceCanvasReplay(scene, PRINT_UNIT)],
+      ['vector', expectedVector, traceVectorReplay(scene, VECTOR_UNIT)]
+    ];
+
+    for (const [name, want, got] of replays) {
+      compared++;
+      const difference = firstDifference(want, got);
+      if (difference) {
+        failures++;
+        console.log(`${seed} ${state} t=${params.time.toFixed(2)} ${name}: line ${difference.line}`);
+        console.log(`  scene:  ${difference.want}`);
+        console.log(`  replay: ${difference.got}`);
+      }
+    }
+  }
+}
+
+console.log(`${compared} replays of ${options.seeds * options.frames} scenes compared, ${failures} differ`);
+process.exit(failures > 0 ? 1 : 0);
+
+function firstDifference(want, got) {
+  const wantLines = want.split('\n');
+  const gotLines = got.split('\n');
+
+  for (let i = 0; i < Math.max(wantLines.length, gotLines.length); i++) {
+    if (wantLines[i] !== gotLines[i]) {
+      return { line: i + 1, want: wantLines[i] ?? '(end)', got: gotLines[i] ?? '(end)' };
+    }
+  }
+  return null;
+}
+
+function parseArgs(argv, defaults) {
+  const parsed = { ...defaults };
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in defaults)) {
+      console.error(`Unknown option "${argv[i]}"`);
+      process.exit(1);
+    }
+
+    if (typeof defaults[key] === 'boolean') {
+      parsed[key] = true;
+    } else {
+      parsed[key] = Number(argv[++i]);
+      if (!Number.isInteger(parsed[key]) || parsed[key] < 1) {
+        console.error(`--${key} needs a positive whole number`);
+        process.exit(1);
+      }
+    }
+  }
+
+  return parsed;
+}